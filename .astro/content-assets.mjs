@@ -1 +0,0 @@
-export default new Map();
\ No newline at end of file
@@ -1,12 +0,0 @@
-import { defineConfig } from 'astro/config';
-
-export default defineConfig({
-  build: {
-    assets: '_astro'
-  },
-  vite: {
-    define: {
-      'process.env.NODE_ENV': '"production"'
-    }
-  }
-});
\ No newline at end of file
@@ -0,0 +1,42 @@
+// Atom adapter: one job per <entry>. Links come from <link href>, picking
+// rel="alternate" (or no rel) for the job and rel="enclosure" for media.
+import { parseItems, pickField, pickFieldAll } from '../xml/feed.mjs';
+
+export const DEFAULT_MAP = {
+  title: 'title',
+  link: [],
+  published: ['published', 'updated'],
+  description: ['summary', 'content'],
+  company: [],
+  location: [],
+  salary: [],
+  author: ['author/name'],
+  categories: ['category@term'],
+};
+
+export const accept = 'application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.7';
+
+function linkHref(node, rel) {
+  const link = node.children.find((c) => c.local === 'link' && (c.attrs.rel || 'alternate') === rel && c.attrs.href);
+  return link ? link.attrs.href : '';
+}
+
+export function parse(body, source) {
+  const map = { ...DEFAULT_MAP, ...source.map };
+
+  return parseItems(body, ['entry']).map((node) => {
+    const enclosure = node.children.find((c) => c.local === 'link' && c.attrs.rel === 'enclosure' && c.attrs.href);
+    return {
+      title: pickField(node, map.title),
+      link: pickField(node, map.link) || linkHref(node, 'alternate') || pickField(node, 'id'),
+      published: pickField(node, map.published),
+      description: pickField(node, map.description),
+      company: pickField(node, map.company),
+      location: pickField(node, map.location),
+      salary: pickField(node, map.salary),
+      author: pickField(node, map.author),
+      categories: pickFieldAll(node, map.categories),
+      enclosure: enclosure ? { url: enclosure.attrs.href, type: enclosure.attrs.type || '' } : null,
+    };
+  });
+}
@@ -0,0 +1,18 @@
+// Source adapter registry.
+//
+// An adapter exposes `accept` (the Accept header to send) and
+// `parse(body, source)`, which turns a raw response body into plain item
+// records: { title, link, published, description, company, location,
+// salary, author, categories, enclosure }. Adapters do no network I/O, so
+// each one can be run against a saved body in scripts/fixtures/.
+import * as rss from './rss.mjs';
+import * as atom from './atom.mjs';
+import * as json from './json.mjs';
+
+export const ADAPTERS = { rss, atom, json };
+
+export function getAdapter(type) {
+  const adapter = ADAPTERS[type];
+  if (!adapter) throw new Error(`Unknown source type "${type}"`);
+  return adapter;
+}
@@ -0,0 +1,40 @@
+// JSON API adapter. Sources must supply a full mapping: `items` is the
+// dotted path to the job array ('' when the body is the array itself) and
+// every other key is a dotted path inside one job object.
+
+export const accept = 'application/json, text/plain;q=0.8, */*;q=0.7';
+
+function get(obj, path) {
+  if (path == null) return undefined;
+  if (path === '') return obj;
+  return path.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+function text(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+export function parse(body, source) {
+  const map = source.map || {};
+  const data = JSON.parse(body);
+  const list = get(data, map.items);
+  if (!Array.isArray(list)) {
+    throw new Error(`${source.name}: no job array at "${map.items || '(root)'}"`);
+  }
+
+  return list.map((job) => {
+    const categories = get(job, map.categories);
+    return {
+      title: text(get(job, map.title)),
+      link: text(get(job, map.link)),
+      published: text(get(job, map.published)),
+      description: text(get(job, map.description)),
+      company: text(get(job, map.company)),
+      location: text(get(job, map.location)),
+      salary: text(get(job, map.salary)),
+      author: text(get(job, map.author)),
+      categories: Array.isArray(categories) ? categories.map(text).filter(Boolean) : [text(categories)].filter(Boolean),
+      enclosure: null,
+    };
+  });
+}
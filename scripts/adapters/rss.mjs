@@ -0,0 +1,40 @@
+// RSS adapter: one job per <item>. Handles RSS 0.9x, 2.0 and RSS 1.0/RDF,
+// where items sit beside <channel> rather than inside it.
+import { parseItems, pickField, pickFieldAll } from '../xml/feed.mjs';
+
+export const DEFAULT_MAP = {
+  title: ['title', 'dc:title'],
+  link: ['link', 'guid'],
+  published: ['pubDate', 'dc:date'],
+  description: ['description', 'content:encoded', 'summary'],
+  company: [],
+  location: [],
+  salary: [],
+  author: ['dc:creator', 'author'],
+  categories: ['category', 'dc:subject'],
+  enclosure: ['enclosure', 'media:content'],
+};
+
+export const accept = 'application/rss+xml, application/rdf+xml;q=0.9, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.7';
+
+export function parse(body, source) {
+  const map = { ...DEFAULT_MAP, ...source.map };
+
+  return parseItems(body, ['item']).map((node) => {
+    const enclosure = [].concat(map.enclosure).find((tag) => pickField(node, `${tag}@url`));
+    return {
+      title: pickField(node, map.title),
+      link: pickField(node, map.link) || node.attrs['rdf:about'] || '',
+      published: pickField(node, map.published),
+      description: pickField(node, map.description),
+      company: pickField(node, map.company),
+      location: pickField(node, map.location),
+      salary: pickField(node, map.salary),
+      author: pickField(node, map.author),
+      categories: pickFieldAll(node, map.categories),
+      enclosure: enclosure
+        ? { url: pickField(node, `${enclosure}@url`), type: pickField(node, `${enclosure}@type`) }
+        : null,
+    };
+  });
+}
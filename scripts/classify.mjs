@@ -0,0 +1,68 @@
+// Rules-driven job classification.
+//
+// The taxonomy (categories, seniority, employment types, skills) lives in
+// taxonomy.json so it can be tuned without touching code, and so the site
+// can build its filter options from the same vocabulary. Patterns are
+// regex sources matched case-insensitively on word boundaries, which is
+// what keeps "va" from matching "Java" or "Nevada".
+import { readFile } from 'node:fs/promises';
+
+export const taxonomy = JSON.parse(await readFile(new URL('./taxonomy.json', import.meta.url), 'utf8'));
+
+function compile(patterns = []) {
+  return patterns.length ? new RegExp(`\\b(?:${patterns.join('|')})\\b`, 'i') : null;
+}
+
+const categories = taxonomy.categories.map((c) => ({ id: c.id, re: compile(c.patterns) }));
+const seniority = taxonomy.seniority.map((s) => ({ id: s.id, title: compile(s.title), text: compile(s.text) }));
+const employmentTypes = taxonomy.employment_types.map((e) => ({ id: e.id, re: compile(e.patterns) }));
+const skills = taxonomy.skills.map((s) => ({ id: s.id, re: compile(s.patterns) }));
+
+// Where a category word appears says a lot about how much it means: in the
+// title it is the job, in the description it may just be context.
+const CATEGORY_WEIGHTS = { title: 3, categories: 2, description: 1 };
+
+function classifyCategory(fields) {
+  let best = { id: 'other', score: 0 };
+  for (const c of categories) {
+    let score = 0;
+    for (const [field, weight] of Object.entries(CATEGORY_WEIGHTS)) {
+      if (c.re.test(fields[field])) score += weight;
+    }
+    if (score > best.score) best = { id: c.id, score };
+  }
+  return best.id;
+}
+
+function classifySeniority({ title, description }) {
+  const hit = seniority.find((s) => s.title?.test(title)) || seniority.find((s) => s.text?.test(description));
+  return hit ? hit.id : taxonomy.default_seniority;
+}
+
+function classifyEmploymentType({ title, categories: feedCategories, description }) {
+  const rest = `${feedCategories} ${description}`;
+  const hit = employmentTypes.find((e) => e.re.test(title)) || employmentTypes.find((e) => e.re.test(rest));
+  return hit ? hit.id : taxonomy.default_employment_type;
+}
+
+/**
+ * @param {{ title: string, description?: string, categories?: string[] }} job
+ * @returns {{ category: string, seniority: string, employment_type: string, skills: string[] }}
+ */
+export function classifyJob({ title, description = '', categories: feedCategories = [] }) {
+  const fields = { title, categories: feedCategories.join(' | '), description };
+  const text = `${title} ${fields.categories} ${description}`;
+  return {
+    category: classifyCategory(fields),
+    seniority: classifySeniority(fields),
+    employment_type: classifyEmploymentType(fields),
+    skills: skills.filter((s) => s.re.test(text)).map((s) => s.id),
+  };
+}
+
+// The board's coarse tag vocabulary, derived from the classification.
+const SENIORITY_TAGS = { entry: ['entry-level'], junior: ['entry-level', 'junior'], senior: ['senior'] };
+
+export function tagsFor({ seniority: level, employment_type }) {
+  return [...(SENIORITY_TAGS[level] || []), employment_type, 'remote'];
+}
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+// Command line for the job fetcher.
+//
+//   npm run fetch                          fetch every source, publish jobs.json
+//   npm run jobs -- fetch --source remotive  fetch one source and report (dry run)
+//   npm run jobs -- fetch --fixtures scripts/fixtures --out /tmp/jobs.json
+//   npm run jobs -- fetch --replay scripts/fixtures --scenario jobicy=500 --out /tmp/jobs.json
+//   npm run jobs -- validate [file]
+//   npm run jobs -- migrate [file] [--out <file>]
+//   npm run jobs -- stats [file] [--json]
+//   npm run jobs -- diff <old> <new> [--json]
+//   npm run jobs -- serve --replay scripts/fixtures [--port 4400] [--scenario id=kind]
+//
+// --fixtures reads saved bodies straight from disk. --replay serves them
+// from the local replay server (replay-server.mjs) and fetches over HTTP,
+// so timeouts, retries and redirects run for real; --scenario
+// makes a feed misbehave there. Neither touches the network, which is how
+// the pipeline is checked end to end in CI.
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import { OUT_PATH, FIXTURES_DIR, collect, fetchJobs, isLegacySnapshot, migrateSnapshot, writeSnapshot } from './pipeline.mjs';
+import { QualityGateError, snapshotErrors } from './quality.mjs';
+import { SOURCES, findSource } from './sources.mjs';
+import { parseScenarios, replaySources, startReplayServer } from './replay-server.mjs';
+import { diffSnapshots, readSnapshot, snapshotStats } from './report.mjs';
+
+const USAGE = `Usage: node scripts/cli.mjs <command> [options]
+
+Commands:
+  fetch                  fetch the sources and publish jobs.json
+  validate [file]        check a snapshot against the schema
+  migrate [file]         upgrade a snapshot from before job ids to the current
+                         format, in place or to --out
+  stats [file]           what a snapshot holds, by source, category and more
+  diff <old> <new>       live jobs added, removed and changed between two snapshots
+  serve                  run the replay server on its own (needs --replay)
+
+Options:
+  --out <file>           jobs.json to write, and the default file for validate
+                         and stats (default $JOBS_OUT or site/public/jobs.json)
+  --source <id|name>     fetch only this source (repeatable); a dry run that
+                         reports per source unless --out is given
+  --fixtures <dir>       read saved feed bodies from <dir> instead of the network
+  --replay <dir>         serve <dir> on the local replay server and fetch from it
+  --scenario <id=kind>   with --replay: ok, slow[:ms], 500, flaky, redirect or
+                         malformed (repeatable, or comma-separated)
+  --timeout <ms>         per-request timeout, overriding the sources' own
+  --retries <n>          retries per request, overriding the sources' own
+  --dry-run              run the whole pipeline and the gate, write nothing
+  --port <n>             port for serve (default 4400)
+  --json                 machine-readable output for stats and diff
+  -h, --help             show this help`;
+
+const OPTIONS = {
+  out: { type: 'string' },
+  source: { type: 'string', multiple: true },
+  fixtures: { type: 'string' },
+  replay: { type: 'string' },
+  scenario: { type: 'string', multiple: true },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  port: { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Thrown for bad arguments: the message and the usage are all the user needs.
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function number(value, name) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${name} must be a whole number, got "${value}"`);
+  return n;
+}
+
+const print = (value) => console.log(JSON.stringify(value, null, 2));
+
+function table(title, counts) {
+  const entries = Object.entries(counts);
+  if (!entries.length) return;
+  const width = Math.max(...entries.map(([key]) => key.length));
+  console.log(`\n${title}`);
+  for (const [key, count] of entries) console.log(`  ${key.padEnd(width)}  ${String(count).padStart(5)}`);
+}
+
+async function withReplay(opts, sources, run) {
+  if (!opts.replay) return run(sources);
+  const server = await startReplayServer({ dir: resolve(opts.replay), sources, scenarios: parseScenarios(opts.scenario) });
+  console.log(`Replaying ${resolve(opts.replay)} at ${server.url}`);
+  try {
+    return await run(replaySources(server.url, sources));
+  } finally {
+    await server.close();
+  }
+}
+
+async function fetchCommand(opts) {
+  if (opts.fixtures && opts.replay) throw new UsageError('use either --fixtures or --replay, not both');
+  if (opts.scenario && !opts.replay) throw new UsageError('--scenario only applies with --replay');
+
+  const sources = opts.source ? opts.source.map(findSource) : SOURCES;
+  const fetchOptions = {
+    fixturesDir: opts.fixtures ? resolve(opts.fixtures) : opts.replay ? null : FIXTURES_DIR,
+    // Replayed responses never go in the real feed cache.
+    cacheDir: opts.replay ? null : undefined,
+    timeoutMs: number(opts.timeout, 'timeout'),
+    retries: number(opts.retries, 'retries'),
+  };
+
+  // One source on its own can't be published over the full snapshot, so
+  // without --out this just reports what each source yields.
+  if (opts.source && !opts.out) {
+    const results = await withReplay(opts, sources, (srcs) => Promise.all(srcs.map((src) => collect(src, fetchOptions))));
+    let failed = false;
+    for (const { jobs, health } of results) {
+      failed ||= health.status === 'error';
+      console.log(`\n${health.source}: ${health.status}, ${health.items} items, HTTP ${health.http_status ?? '-'}, ${health.latency_ms}ms, ${health.attempts} attempt(s)`);
+      if (health.error) console.log(`  error: ${health.error}`);
+      for (const job of jobs.slice(0, 5)) console.log(`  - ${job.title}${job.company ? ` (${job.company})` : ''} [${job.category}, ${job.seniority}]`);
+      if (jobs.length > 5) console.log(`  ...and ${jobs.length - 5} more`);
+    }
+    return failed ? 1 : 0;
+  }
+
+  await withReplay(opts, sources, (srcs) => fetchJobs({
+    ...fetchOptions,
+    sources: srcs,
+    outPath: resolve(opts.out || OUT_PATH),
+    dryRun: opts['dry-run'],
+  }));
+  return 0;
+}
+
+function reportErrors(path, errors) {
+  console.error(`${path} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+  for (const error of errors.slice(0, 20)) console.error(`  - ${error}`);
+  if (errors.length > 20) console.error(`  ...and ${errors.length - 20} more`);
+}
+
+async function validateCommand(opts, [file]) {
+  const path = resolve(file || opts.out || OUT_PATH);
+  const data = await readSnapshot(path);
+  // A snapshot from before job ids fails the schema on every job; what
+  // matters is whether it upgrades cleanly.
+  if (isLegacySnapshot(data)) {
+    const { payload } = migrateSnapshot(data);
+    const errors = snapshotErrors(payload);
+    if (errors.length) {
+      reportErrors(`${path} (legacy format, once migrated)`, errors);
+      return 1;
+    }
+    console.log(`${path} is in the legacy format and migrates to a valid snapshot; run \`npm run jobs -- migrate\` to upgrade it`);
+    return 0;
+  }
+  const errors = snapshotErrors(data);
+  if (!errors.length) {
+    console.log(`${path} is valid`);
+    return 0;
+  }
+  reportErrors(path, errors);
+  return 1;
+}
+
+async function migrateCommand(opts, [file]) {
+  const path = resolve(file || OUT_PATH);
+  const out = resolve(opts.out || path);
+  const data = await readSnapshot(path);
+  if (!isLegacySnapshot(data)) {
+    console.log(`${path} is already in the current format`);
+    return 0;
+  }
+  const { payload } = migrateSnapshot(data);
+  const errors = snapshotErrors(payload);
+  if (errors.length) {
+    reportErrors(`${path} once migrated`, errors);
+    return 1;
+  }
+  await writeSnapshot(out, payload);
+  console.log(`Migrated ${data.jobs.length} legacy jobs to ${payload.jobs.length} in ${out}`);
+  return 0;
+}
+
+async function statsCommand(opts, [file]) {
+  const path = resolve(file || opts.out || OUT_PATH);
+  const stats = snapshotStats(await readSnapshot(path));
+  if (opts.json) {
+    print(stats);
+    return 0;
+  }
+
+  console.log(`${path}, updated ${stats.updated_at ?? 'at an unknown time'}`);
+  console.log(`  ${stats.total_jobs} live jobs, ${stats.expired} expired`);
+  console.log(`  ${stats.with_salary} with a salary, ${stats.risk_flagged} risk-flagged, ${stats.cross_posted} on more than one board`);
+  if (stats.oldest_posted) console.log(`  posted ${stats.oldest_posted.slice(0, 10)} to ${stats.newest_posted.slice(0, 10)}`);
+  table('by source', stats.by_source);
+  table('by category', stats.by_category);
+  table('by seniority', stats.by_seniority);
+  table('by employment type', stats.by_employment_type);
+  table('by remote scope', stats.by_remote_scope);
+  table('top skills', stats.top_skills);
+  return 0;
+}
+
+async function diffCommand(opts, [before, after]) {
+  if (!before || !after) throw new UsageError('diff needs two snapshot files: diff <old> <new>');
+  const diff = diffSnapshots(await readSnapshot(resolve(before)), await readSnapshot(resolve(after)));
+  if (opts.json) {
+    print(diff);
+    return 0;
+  }
+
+  const line = (job) => `${job.title}${job.company ? ` (${job.company})` : ''}, ${job.source}`;
+  console.log(`${diff.total_before} → ${diff.total_after} live jobs: +${diff.added.length} added, -${diff.removed.length} removed, ${diff.changed.length} changed`);
+  for (const job of diff.added) console.log(`  + ${line(job)}`);
+  for (const job of diff.removed) console.log(`  - ${line(job)}`);
+  for (const job of diff.changed) console.log(`  ~ ${line(job)}: ${job.fields.join(', ')}`);
+  return 0;
+}
+
+async function serveCommand(opts) {
+  if (!opts.replay) throw new UsageError('serve needs --replay <dir>');
+  const server = await startReplayServer({
+    dir: resolve(opts.replay),
+    scenarios: parseScenarios(opts.scenario),
+    port: number(opts.port, 'port') ?? 4400,
+  });
+  console.log(`Replaying ${resolve(opts.replay)} at ${server.url} (Ctrl+C to stop)`);
+  for (const src of SOURCES) console.log(`  ${server.url}/${src.id}`);
+  await new Promise((done) => process.once('SIGINT', done));
+  await server.close();
+  return 0;
+}
+
+const COMMANDS = {
+  fetch: fetchCommand,
+  validate: validateCommand,
+  migrate: migrateCommand,
+  stats: statsCommand,
+  diff: diffCommand,
+  serve: serveCommand,
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values: opts, positionals: [command, ...args] } = parsed;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return opts.help ? 0 : 1;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+  return run(opts, args);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code ?? 0),
+  (err) => {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    console.error(err.message || err);
+    if (err instanceof QualityGateError) console.error('Kept the previous jobs.json');
+    process.exit(1);
+  }
+);
@@ -0,0 +1,144 @@
+// Cross-source duplicate detection.
+//
+// Two listings are the same job when they share a canonical apply URL, or
+// when they come from the same company with near-identical titles posted
+// within a few days of each other. Duplicates are merged into one record
+// whose `sources` lists every board it was seen on.
+import { TRACKING_PARAMS } from '../site/src/lib/sanitize.js';
+
+const MAX_DAYS_APART = 7;
+const MIN_TITLE_SIMILARITY = 0.8;
+
+export function canonicalUrl(url = '') {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.hostname = u.hostname.toLowerCase().replace(/^www\./, '');
+    for (const key of [...u.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+    }
+    u.pathname = u.pathname.replace(/\/+$/, '') || '/';
+    return `${u.protocol}//${u.hostname}${u.pathname}${u.search}`;
+  } catch {
+    return url.trim();
+  }
+}
+
+const TITLE_SYNONYMS = { sr: 'senior', jr: 'junior', mgr: 'manager', eng: 'engineer', dev: 'developer' };
+const TITLE_NOISE = new Set(['remote', 'fully', '100', 'wfh', 'job', 'position', 'role', 'the', 'a', 'an']);
+
+function titleTokens(title = '') {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .split(' ')
+    .map((t) => TITLE_SYNONYMS[t] || t)
+    .filter((t) => t && !TITLE_NOISE.has(t));
+}
+
+export function normalizeCompany(company = '') {
+  return company
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(inc|llc|ltd|limited|gmbh|corp|corporation|co|plc|sa|bv|ag)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function similarity(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const t of A) if (B.has(t)) shared++;
+  return shared / (A.size + B.size - shared);
+}
+
+function daysApart(a, b) {
+  return Math.abs(new Date(a.posted_at) - new Date(b.posted_at)) / 86400000;
+}
+
+// A board listing the same title twice is two openings, so fuzzy matches
+// only ever join listings from different sources.
+function isSameJob(a, b) {
+  return (
+    a.job.source !== b.job.source &&
+    similarity(a.titleTokens, b.titleTokens) >= MIN_TITLE_SIMILARITY &&
+    daysApart(a.job, b.job) <= MAX_DAYS_APART
+  );
+}
+
+// Richer records win as the primary: a company, salary and longer excerpt
+// are all worth keeping.
+function richness(job) {
+  return (job.company ? 4 : 0) + (job.salary ? 2 : 0) + (job.regions?.length ? 1 : 0) + (job.excerpt || '').length / 1000;
+}
+
+function merge(group) {
+  const [primary, ...rest] = [...group].sort((a, b) => richness(b) - richness(a));
+  const merged = { ...primary };
+
+  for (const other of rest) {
+    for (const [key, value] of Object.entries(other)) {
+      if (merged[key] === undefined || merged[key] === '' || (Array.isArray(merged[key]) && !merged[key].length)) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  merged.posted_at = group.map((j) => j.posted_at).sort()[0];
+  merged.tags = [...new Set(group.flatMap((j) => j.tags || []))];
+  const categories = [...new Set(group.flatMap((j) => j.categories || []))];
+  merged.categories = categories.length ? categories : undefined;
+
+  const seen = new Map();
+  for (const j of [primary, ...rest]) {
+    for (const s of j.sources || [{ source: j.source, url: j.source_url }]) {
+      if (!seen.has(s.source)) seen.set(s.source, s);
+    }
+  }
+  merged.sources = [...seen.values()];
+  return merged;
+}
+
+/**
+ * @param {object[]} jobs normalized job records
+ * @returns {{ jobs: object[], merges: number }} merges is how many records
+ *   were folded into another
+ */
+export function dedupe(jobs) {
+  const groups = [];
+  const byUrl = new Map();
+  const byCompany = new Map();
+
+  for (const job of jobs) {
+    const entry = { job, url: canonicalUrl(job.source_url), titleTokens: titleTokens(job.title) };
+    const company = normalizeCompany(job.company);
+
+    let group = byUrl.get(entry.url);
+    if (!group && company) {
+      group = (byCompany.get(company) || []).find((g) => g.some((other) => isSameJob(entry, other)));
+    }
+
+    if (!group) {
+      group = [];
+      groups.push(group);
+    }
+    // A group joined by URL may not be filed under this company yet (its
+    // first listing had none, or spelled it differently).
+    if (company && !byCompany.get(company)?.includes(group)) {
+      byCompany.set(company, [...(byCompany.get(company) || []), group]);
+    }
+    group.push(entry);
+    byUrl.set(entry.url, group);
+  }
+
+  return {
+    jobs: groups.map((g) => (g.length === 1 ? withSources(g[0].job) : merge(g.map((e) => e.job)))),
+    merges: jobs.length - groups.length,
+  };
+}
+
+function withSources(job) {
+  return { ...job, sources: job.sources || [{ source: job.source, url: job.source_url }] };
+}
@@ -0,0 +1,129 @@
+// Weekly email digest of new jobs, as a standalone HTML file to paste into
+// the newsletter (the Buttondown list behind NewsletterEmbed.astro).
+//
+//   npm run digest
+//
+// Reads the snapshot the fetcher wrote (JOBS_OUT, as for cli.mjs fetch) and
+// takes every live job first seen in the last DIGEST_DAYS days (default 7),
+// so a week of daily runs adds up to one digest. Jobs are grouped by
+// category in taxonomy order. Email clients ignore most CSS, so the markup
+// is table-based with inline styles only.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { taxonomy } from './classify.mjs';
+import { escapeHtml } from '../site/src/lib/search.js';
+import { safeUrl } from '../site/src/lib/sanitize.js';
+
+const SITE = 'https://remotelyyou.com';
+const JOBS_PATH = resolve(process.env.JOBS_OUT || 'site/public/jobs.json');
+const DAYS = Number(process.env.DIGEST_DAYS) || 7;
+// Listings shown per category before linking to the rest on the board.
+const PER_CATEGORY = 8;
+
+const LABELS = Object.fromEntries(taxonomy.categories.map((c) => [c.id, c.label]));
+const ORDER = [...taxonomy.categories.map((c) => c.id), 'other'];
+
+/**
+ * @param {object[]} jobs   live jobs from jobs.json
+ * @param {Date} since
+ * @returns {{ id: string, label: string, jobs: object[] }[]} non-empty groups, newest first within each
+ */
+function groupNewJobs(jobs, since) {
+  const fresh = jobs
+    .filter((j) => !j.expired && j.first_seen && new Date(j.first_seen) >= since)
+    .sort((a, b) => new Date(b.posted_at) - new Date(a.posted_at));
+  return ORDER
+    .map((id) => ({ id, label: LABELS[id] || 'other roles', jobs: fresh.filter((j) => (j.category || 'other') === id) }))
+    .filter((g) => g.jobs.length);
+}
+
+function jobRow(job) {
+  const meta = [job.company, job.location || 'remote', job.employment_type].filter(Boolean).map(escapeHtml).join(' • ');
+  const href = safeUrl(job.source_url);
+  const title = `<span style="color:#000000;font-weight:600;">${escapeHtml(job.title)}</span>`;
+  return `
+          <tr>
+            <td style="padding:10px 0;border-bottom:1px solid #eeeeee;">
+              ${href ? `<a href="${escapeHtml(href)}" style="text-decoration:none;">${title}</a>` : title}
+              <div style="color:#666666;font-size:13px;margin-top:2px;">${meta}</div>
+            </td>
+          </tr>`;
+}
+
+function groupSection(group) {
+  const more = group.jobs.length - PER_CATEGORY;
+  const boardUrl = group.id === 'other' ? `${SITE}/jobs` : `${SITE}/jobs?category=${group.id}`;
+  return `
+      <tr>
+        <td style="padding:24px 0 4px;">
+          <h2 style="margin:0;font-size:18px;text-transform:lowercase;">${escapeHtml(group.label)} <span style="color:#888888;font-weight:400;">(${group.jobs.length})</span></h2>
+        </td>
+      </tr>
+      <tr>
+        <td>
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${group.jobs.slice(0, PER_CATEGORY).map(jobRow).join('')}
+          </table>
+          ${more > 0 ? `<p style="margin:8px 0 0;font-size:13px;"><a href="${boardUrl}" style="color:#0066cc;">and ${more} more on the board →</a></p>` : ''}
+        </td>
+      </tr>`;
+}
+
+function renderDigest(groups, { since, until }) {
+  const total = groups.reduce((n, g) => n + g.jobs.length, 0);
+  const range = `${since.toISOString().slice(0, 10)} to ${until.toISOString().slice(0, 10)}`;
+  const body = total
+    ? groups.map(groupSection).join('')
+    : `
+      <tr><td style="padding:24px 0;color:#666666;">no new listings this week. the <a href="${SITE}/jobs" style="color:#0066cc;">board</a> still has plenty open.</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>remotelyyou: ${total} new remote jobs</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f5f5;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:12px;padding:24px;font-family:'Work Sans',Arial,sans-serif;color:#222222;">
+          <tr>
+            <td>
+              <h1 style="margin:0 0 8px;font-size:24px;text-transform:lowercase;">${total} new remote job${total === 1 ? '' : 's'} this week</h1>
+              <p style="margin:0;color:#666666;font-size:14px;">fresh beginner-friendly listings added ${range}, grouped by field.</p>
+            </td>
+          </tr>${body}
+          <tr>
+            <td style="padding:24px 0 0;font-size:13px;color:#888888;">
+              browse and filter everything on <a href="${SITE}/jobs" style="color:#0066cc;">the job board</a>, or follow new listings in your feed reader: <a href="${SITE}/feeds/all.xml" style="color:#0066cc;">rss</a>.
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  const until = new Date();
+  const since = new Date(until.getTime() - DAYS * 86400000);
+  const outPath = resolve(process.env.DIGEST_OUT || `digests/digest-${until.toISOString().slice(0, 10)}.html`);
+
+  const data = JSON.parse(await readFile(JOBS_PATH, 'utf8'));
+  const groups = groupNewJobs(data.jobs || [], since);
+  const total = groups.reduce((n, g) => n + g.jobs.length, 0);
+  console.log(`Digest: ${total} jobs first seen in the last ${DAYS} days, in ${groups.length} categories`);
+
+  await mkdir(dirname(outPath), { recursive: true });
+  await writeFile(outPath, renderDigest(groups, { since, until }), 'utf8');
+  console.log(`Wrote ${outPath}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+// Job history across runs.
+//
+// Every job gets a stable `id` and `first_seen` / `last_seen` dates. Jobs
+// that drop out of their feeds are kept for a grace period (feeds flap, and
+// a source may simply fail for a run), then marked expired, and finally
+// dropped once they have been expired long enough that nobody still links
+// to them.
+import crypto from 'node:crypto';
+import { canonicalUrl } from './dedupe.mjs';
+
+const DAY = 86400000;
+export const GRACE_DAYS = 3;
+export const EXPIRED_RETENTION_DAYS = 30;
+
+export function jobId(job) {
+  return crypto.createHash('sha1').update(canonicalUrl(job.source_url)).digest('hex').slice(0, 12);
+}
+
+// jobId(), unless another job already has that id (a merged record can carry
+// the id of a URL that has since split off on its own).
+function freshId(job, taken) {
+  let id = jobId(job);
+  for (let n = 2; taken.has(id); n++) {
+    id = crypto.createHash('sha1').update(`${canonicalUrl(job.source_url)}#${n}`).digest('hex').slice(0, 12);
+  }
+  taken.add(id);
+  return id;
+}
+
+function urlsOf(job) {
+  return (job.sources || [{ url: job.source_url }]).map((s) => canonicalUrl(s.url));
+}
+
+function summary(job) {
+  return { id: job.id, title: job.title, company: job.company, source: job.source, source_url: job.source_url };
+}
+
+/**
+ * @param {object[]} current  this run's deduplicated jobs
+ * @param {object[]} previous jobs from the last snapshot (may be empty)
+ * @param {Date} now
+ * @returns {{ jobs: object[], added: object[], removed: object[] }}
+ *   `removed` lists jobs that expired on this run
+ */
+export function applyHistory(current, previous, now = new Date()) {
+  const stamp = now.toISOString();
+  const previousByUrl = new Map();
+  for (const job of previous) {
+    for (const url of urlsOf(job)) previousByUrl.set(url, job);
+  }
+
+  const matched = new Set();
+  const taken = new Set(previous.map((job) => job.id));
+  const added = [];
+  const jobs = current.map((job) => {
+    // Two current jobs can reach the same previous record through different
+    // URLs; only the first keeps its id, the other counts as new.
+    const before = urlsOf(job).map((url) => previousByUrl.get(url)).find((prev) => prev && !matched.has(prev));
+    if (before) {
+      matched.add(before);
+      return { ...job, id: before.id, first_seen: before.first_seen, last_seen: stamp };
+    }
+    const fresh = { ...job, id: freshId(job, taken), first_seen: stamp, last_seen: stamp };
+    added.push(summary(fresh));
+    return fresh;
+  });
+
+  const removed = [];
+  for (const job of previous) {
+    if (matched.has(job)) continue;
+    const missingFor = (now - new Date(job.last_seen)) / DAY;
+
+    if (job.expired) {
+      if ((now - new Date(job.expired_at)) / DAY <= EXPIRED_RETENTION_DAYS) jobs.push(job);
+    } else if (missingFor <= GRACE_DAYS) {
+      jobs.push(job);
+    } else {
+      jobs.push({ ...job, expired: true, expired_at: stamp });
+      removed.push(summary(job));
+    }
+  }
+
+  return { jobs, added, removed };
+}
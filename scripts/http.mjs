@@ -0,0 +1,137 @@
+// Network layer for the fetcher: timeouts, retries with exponential
+// backoff, conditional GETs backed by an on-disk cache, and a bounded
+// worker pool so one slow feed can't hold up the rest.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import crypto from 'node:crypto';
+
+export const DEFAULTS = {
+  timeoutMs: 20000,
+  retries: 3,
+  backoffMs: 500,
+  concurrency: 3,
+};
+
+const RETRY_STATUS = new Set([403, 408, 425, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export class HttpError extends Error {
+  constructor(status, statusText, url) {
+    super(`${status} ${statusText}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+// ---------- Conditional request cache ----------
+
+function cacheFile(cacheDir, url) {
+  return resolve(cacheDir, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+}
+
+async function readCache(cacheDir, url) {
+  if (!cacheDir) return null;
+  const file = cacheFile(cacheDir, url);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cacheDir, url, res, body) {
+  const etag = res.headers.get('etag');
+  const lastModified = res.headers.get('last-modified');
+  if (!cacheDir || (!etag && !lastModified)) return;
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(cacheFile(cacheDir, url), JSON.stringify({ url, etag, lastModified, body }), 'utf8');
+}
+
+// ---------- Fetching ----------
+
+function retryDelay(res, attempt, backoffMs) {
+  const retryAfter = res?.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter) - Date.now();
+    if (ms > 0) return Math.min(ms, 60000);
+  }
+  return backoffMs * 2 ** attempt + Math.random() * backoffMs;
+}
+
+/**
+ * GETs `url` as text.
+ * @returns {Promise<{ body: string, status: number, fromCache: boolean, attempts: number }>}
+ * @throws {HttpError|Error} after the last attempt fails, with `attempts` set
+ */
+export async function fetchText(url, options = {}) {
+  const {
+    headers = {},
+    timeoutMs = DEFAULTS.timeoutMs,
+    retries = DEFAULTS.retries,
+    backoffMs = DEFAULTS.backoffMs,
+    cacheDir = null,
+  } = options;
+
+  const cached = await readCache(cacheDir, url);
+  const conditional = {};
+  if (cached?.etag) conditional['if-none-match'] = cached.etag;
+  if (cached?.lastModified) conditional['if-modified-since'] = cached.lastModified;
+
+  let lastError;
+  let attempts = 0;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    attempts = attempt + 1;
+    let res;
+    try {
+      res = await fetch(url, {
+        headers: { ...headers, ...conditional },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (res.status === 304 && cached) {
+        return { body: cached.body, status: 304, fromCache: true, attempts: attempt + 1 };
+      }
+      if (res.ok) {
+        const body = await res.text();
+        await writeCache(cacheDir, url, res, body);
+        return { body, status: res.status, fromCache: false, attempts: attempt + 1 };
+      }
+
+      lastError = new HttpError(res.status, res.statusText, url);
+      if (!RETRY_STATUS.has(res.status)) break;
+    } catch (err) {
+      lastError = err.name === 'TimeoutError' ? new Error(`timed out after ${timeoutMs}ms`) : err;
+    }
+
+    if (attempt < retries) {
+      const delay = retryDelay(res, attempt, backoffMs);
+      console.warn(`Retrying ${url} in ${Math.round(delay)}ms (${lastError.message})`);
+      await sleep(delay);
+    }
+  }
+  lastError.attempts = attempts;
+  throw lastError;
+}
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in
+ * flight. Results keep the order of `items`.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,159 @@
+// Normalization of the free-text parts of a listing: company name, salary
+// and location. Feeds disagree on where (and whether) they carry these, so
+// each extractor takes the feed field first and falls back to patterns in
+// the title and description.
+
+// ---------- Company ----------
+
+// Title shapes that embed the employer, tried in order. Each returns
+// { company, title } or null.
+const TITLE_PATTERNS = [
+  // "Northwind: Junior Data Analyst" (We Work Remotely)
+  (t) => {
+    const m = t.match(/^([^:]{2,60}):\s+(.{3,})$/);
+    return m && { company: m[1], title: m[2] };
+  },
+  // "Northwind — Junior Data Analyst" / "Northwind – Junior Data Analyst"
+  (t) => {
+    const m = t.match(/^(.{2,60}?)\s+[—–]\s+(.{3,})$/);
+    return m && { company: m[1], title: m[2] };
+  },
+  // "Content Writer at Acme Media" (Remote.co)
+  (t) => {
+    const m = t.match(/^(.{3,}?)\s+at\s+([A-Z0-9][^,()]{1,50})$/);
+    return m && m[2].split(/\s+/).length <= 5 && { company: m[2], title: m[1] };
+  },
+];
+
+/**
+ * @returns {{ company: string|undefined, title: string }} the title with any
+ *   embedded company removed
+ */
+export function extractCompany(title, feedCompany = '') {
+  for (const pattern of TITLE_PATTERNS) {
+    const hit = pattern(title);
+    // With a feed-supplied company, only trust a split that agrees with it.
+    if (hit && (!feedCompany || hit.company.trim().toLowerCase() === feedCompany.toLowerCase())) {
+      return { company: feedCompany || hit.company.trim(), title: hit.title.trim() };
+    }
+  }
+  return { company: feedCompany || undefined, title };
+}
+
+// ---------- Salary ----------
+
+const CURRENCIES = [
+  [/\b(?:CA\$|C\$|CAD)/i, 'CAD'],
+  [/\b(?:AU\$|A\$|AUD)/i, 'AUD'],
+  [/\bNZD\b/i, 'NZD'],
+  [/\bSGD\b/i, 'SGD'],
+  [/\bCHF\b/i, 'CHF'],
+  [/\bINR\b|₹/i, 'INR'],
+  [/€|\bEUR\b/i, 'EUR'],
+  [/£|\bGBP\b/i, 'GBP'],
+  [/\$|\bUSD\b/i, 'USD'],
+];
+
+const PERIODS = [
+  [/\b(?:per|an|a|\/)\s*(?:hour|hr)\b|\/h\b|hourly/i, 'hour'],
+  [/\b(?:per|a|\/)\s*day\b|daily/i, 'day'],
+  [/\b(?:per|a|\/)\s*week\b|weekly/i, 'week'],
+  [/\b(?:per|a|\/)\s*(?:month|mo)\b|monthly/i, 'month'],
+  [/\b(?:per|a|\/)\s*(?:year|yr|annum)\b|annual(?:ly)?|yearly|\bp\.?a\.?\b/i, 'year'],
+];
+
+const AMOUNT = String.raw`(\d{1,3}(?:[,.]\d{3})+|\d+(?:\.\d+)?)\s*(k|K)?`;
+const MONEY = new RegExp(
+  String.raw`((?:CA|C|AU|A)?\$|€|£|₹|\b(?:USD|EUR|GBP|CAD|AUD|NZD|SGD|CHF|INR)\s?)\s*${AMOUNT}` +
+    String.raw`(?:\s*(?:-|–|—|to)\s*(?:(?:CA|C|AU|A)?\$|€|£|₹|(?:USD|EUR|GBP|CAD|AUD|NZD|SGD|CHF|INR)\s?)?\s*${AMOUNT})?` +
+    String.raw`(\s*(?:USD|EUR|GBP|CAD|AUD))?`
+);
+
+function toNumber(digits, k) {
+  const n = Number(digits.replace(/[,.](?=\d{3}\b)/g, ''));
+  return k ? n * 1000 : n;
+}
+
+/**
+ * Finds the first money amount or range in `text`.
+ * @returns {{ min: number, max: number, currency: string, period: string }|undefined}
+ */
+export function extractSalary(text = '') {
+  const m = text.match(MONEY);
+  if (!m) return undefined;
+
+  const [whole, symbol, lo, loK, hi, hiK, suffix] = m;
+  const min = toNumber(lo, loK || hiK);
+  const max = hi ? toNumber(hi, hiK) : min;
+  if (!min || max < min) return undefined;
+
+  const marker = `${symbol} ${suffix || ''}`;
+  const currency = (CURRENCIES.find(([re]) => re.test(marker)) || [])[1] || 'USD';
+
+  // Period wording usually follows the amount ("$25/hr", "per year").
+  const after = text.slice(m.index + whole.length, m.index + whole.length + 24);
+  let period = (PERIODS.find(([re]) => re.test(after)) || [])[1];
+  if (!period) period = max >= 1000 ? 'year' : 'hour';
+
+  return { min, max, currency, period };
+}
+
+// ---------- Location ----------
+
+// Canonical region names match the board's country filter values.
+const REGIONS = [
+  ['usa', /\b(?:usa?|u\.s\.a?\.?|united states)\b/i],
+  ['canada', /\bcanada\b/i],
+  ['mexico', /\bmexico\b/i],
+  ['uk', /\b(?:uk|u\.k\.|united kingdom|great britain|england|scotland|wales)\b/i],
+  ['ireland', /\bireland\b/i],
+  ['germany', /\bgermany\b/i],
+  ['france', /\bfrance\b/i],
+  ['spain', /\bspain\b/i],
+  ['portugal', /\bportugal\b/i],
+  ['netherlands', /\b(?:netherlands|holland)\b/i],
+  ['poland', /\bpoland\b/i],
+  ['czechia', /\b(?:czechia|czech republic)\b/i],
+  ['india', /\bindia\b/i],
+  ['philippines', /\bphilippines\b/i],
+  ['brazil', /\bbrazil\b/i],
+  ['australia', /\baustralia\b/i],
+  ['new zealand', /\bnew zealand\b/i],
+  ['uae', /\b(?:uae|united arab emirates)\b/i],
+  ['europe', /\b(?:europe|eu|eea|european union)\b/i],
+  ['emea', /\bemea\b/i],
+  ['latam', /\b(?:latam|latin america|south america)\b/i],
+  ['apac', /\b(?:apac|asia[- ]pacific)\b/i],
+  ['north america', /\bnorth america\b/i],
+];
+
+const GLOBAL = /\b(?:worldwide|anywhere|global(?:ly)?|any location|work from anywhere)\b/i;
+
+const LOCATION_HINTS = [
+  /\blocation\s*:\s*([^.\n<]{2,80})/i,
+  /\b((?:us|usa|uk|eu|canada|europe|latam|emea|apac)[- ](?:only|based))\b/i,
+  /\b(?:must be|candidates?)\s+(?:based|located|residing)\s+in\s+([^.\n<]{2,60})/i,
+  /\((?:remote\s*[-,–]\s*)?([^()]{2,40}?)\s+only\)/i,
+];
+
+/**
+ * @returns {{ location: string, regions: string[], remote_scope: 'global'|'restricted'|undefined }}
+ */
+export function extractLocation(feedLocation = '', title = '', description = '') {
+  let location = feedLocation.trim();
+  if (!location) {
+    for (const re of LOCATION_HINTS) {
+      const m = title.match(re) || description.match(re);
+      if (m) {
+        location = m[1].trim();
+        break;
+      }
+    }
+  }
+
+  if (!location) return { location: 'Remote', regions: [], remote_scope: undefined };
+  if (GLOBAL.test(location)) return { location, regions: [], remote_scope: 'global' };
+
+  const regions = REGIONS.filter(([, re]) => re.test(location)).map(([name]) => name);
+  return { location, regions, remote_scope: regions.length ? 'restricted' : undefined };
+}
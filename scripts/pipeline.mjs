@@ -0,0 +1,316 @@
+// The fetch pipeline behind `scripts/cli.mjs fetch`: fetch every source,
+// parse, normalize, screen for risk, dedupe, carry history over from the
+// previous snapshot and publish jobs.json (plus its changes, health and
+// search index files) through the quality gate.
+//
+// Feed bodies come from the network, from a fixtures directory, or from
+// whatever URLs the caller puts on the sources (the CLI points them at the
+// local replay server). Nothing here reads argv or exits; the CLI does.
+// `cli.mjs migrate` reuses the steps after fetching to upgrade snapshots
+// written before job ids existed.
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { SOURCES, fixturePath } from './sources.mjs';
+import { getAdapter } from './adapters/index.mjs';
+import { decodeEntities } from './xml/entities.mjs';
+import { extractCompany, extractLocation, extractSalary } from './normalize.mjs';
+import { dedupe } from './dedupe.mjs';
+import { applyHistory } from './history.mjs';
+import { DEFAULTS, fetchText, mapConcurrent } from './http.mjs';
+import { assertPublishable, partitionJobs, config as qualityConfig } from './quality.mjs';
+import { scoreJob, screenJobs } from './risk.mjs';
+import { classifyJob, tagsFor } from './classify.mjs';
+import { buildIndex } from '../site/src/lib/search.js';
+import { safeUrl, sanitizeJob } from '../site/src/lib/sanitize.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; RemotelyYouBot/1.0; +https://remotelyyou.com)';
+
+// Defaults for the CLI. JOBS_OUT and JOBS_FIXTURES are still honoured, so
+// digest.mjs and older invocations keep working.
+export const OUT_PATH = resolve(process.env.JOBS_OUT || 'site/public/jobs.json');
+export const FIXTURES_DIR = process.env.JOBS_FIXTURES ? resolve(process.env.JOBS_FIXTURES) : null;
+const CACHE_DIR = resolve('.cache/feeds');
+
+async function readFixture(dir, src) {
+  const file = fixturePath(dir, src);
+  if (!existsSync(file)) throw new Error(`no fixture at ${file}`);
+  console.log(`Reading fixture: ${file}`);
+  return readFile(file, 'utf8');
+}
+
+// Feed text arrives entity-decoded, but descriptions are usually escaped
+// HTML, so tags are dropped and entities decoded once more.
+const HTML_TAG = /<\/?[A-Za-z!][^>"']*(?:(?:"[^"]*"|'[^']*')[^>"']*)*>/g;
+
+function strip(html = '') {
+  return decodeEntities(html.replace(HTML_TAG, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Turns an adapter item into a job record for jobs.json.
+export function toJob(item, sourceName) {
+  const { title, company } = extractCompany(strip(item.title), strip(item.company));
+  const rawLink = strip(item.link);
+  // Only http(s) listing links, minus tracking parameters.
+  const link = safeUrl(rawLink);
+  const description = strip(item.description);
+
+  if (!title || !link) {
+    if (title && rawLink) console.warn(`Skipping "${title}" (${sourceName}): not an http(s) link`);
+    return null;
+  }
+
+  // Clean and limit excerpt - this fixes the formatting issues
+  let cleanExcerpt = description
+    .replace(/\s+/g, ' ')  // Fix spacing issues
+    .trim()
+    .substring(0, 150);    // Limit to 150 characters instead of 200
+  
+  // Add ellipsis if truncated
+  if (description.length > 150) {
+    cleanExcerpt += '...';
+  }
+
+  const posted = new Date(item.published || Date.now());
+  const categories = [...new Set((item.categories || []).flatMap((c) => strip(c).split(',')).map((c) => c.trim()).filter(Boolean))];
+  const classification = classifyJob({ title, description, categories });
+
+  const { location, regions, remote_scope } = extractLocation(strip(item.location), title, description);
+  const salary = extractSalary(strip(item.salary)) || extractSalary(`${title} ${description}`);
+  const { risk_score, risk_reasons } = scoreJob({ title, company, description, salary, source_url: link });
+
+  return sanitizeJob({
+    title,
+    company,
+    source: sourceName,
+    source_url: link,
+    posted_at: (isNaN(posted) ? new Date() : posted).toISOString(),
+    tags: tagsFor(classification),
+    ...classification,
+    location,
+    regions,
+    remote_scope,
+    salary,
+    excerpt: cleanExcerpt,
+    categories: categories.length ? categories : undefined,
+    author: strip(item.author) || undefined,
+    enclosure: item.enclosure?.url ? item.enclosure : undefined,
+    risk_score,
+    risk_reasons: risk_reasons.length ? risk_reasons : undefined
+  });
+}
+
+async function load(src, adapter, options) {
+  if (options.fixturesDir) {
+    return { body: await readFixture(options.fixturesDir, src), status: 200, fromCache: false, attempts: 1 };
+  }
+  console.log(`Fetching: ${src.url}`);
+  return fetchText(src.url, {
+    headers: { 'user-agent': USER_AGENT, accept: adapter.accept },
+    timeoutMs: options.timeoutMs ?? src.timeoutMs,
+    retries: options.retries ?? src.retries,
+    backoffMs: options.backoffMs,
+    cacheDir: options.cacheDir,
+  });
+}
+
+/**
+ * Fetches and parses one source. Never throws: failures are reported in
+ * the returned health entry so the other sources still publish.
+ * @param {object} src an entry from sources.mjs
+ * @param {object} [options] `fixturesDir`, `cacheDir`, and `timeoutMs`,
+ *   `retries`, `backoffMs` to override the source's and http.mjs's defaults
+ */
+export async function collect(src, options = {}) {
+  const started = Date.now();
+  const health = { source: src.name, url: src.url, status: 'ok', http_status: null, latency_ms: 0, attempts: 0, items: 0, error: null };
+
+  try {
+    const adapter = getAdapter(src.type);
+    const res = await load(src, adapter, options);
+    health.http_status = res.status;
+    health.attempts = res.attempts;
+    if (res.fromCache) health.status = 'not-modified';
+
+    const jobs = adapter.parse(res.body, src).map((item) => toJob(item, src.name)).filter(Boolean);
+    health.items = jobs.length;
+    console.log(`${src.name}: ${jobs.length} items extracted${res.fromCache ? ' (not modified, from cache)' : ''}`);
+    return { jobs, health };
+  } catch (err) {
+    console.error(`Source error ${src.name}: ${err.message}`);
+    health.status = 'error';
+    health.http_status = err.status ?? health.http_status;
+    health.attempts = err.attempts ?? health.attempts;
+    health.error = err.message;
+    return { jobs: [], health };
+  } finally {
+    health.latency_ms = Date.now() - started;
+  }
+}
+
+async function readPrevious(outPath) {
+  if (!existsSync(outPath)) return { jobs: [], total: 0 };
+  try {
+    const data = JSON.parse(await readFile(outPath, 'utf8'));
+    // Snapshots from before job history existed carry no ids; treat their
+    // jobs as new rather than guessing at first_seen.
+    return { jobs: (data.jobs || []).filter((j) => j.id), total: data.total_jobs ?? (data.jobs || []).length };
+  } catch (err) {
+    console.error(`Could not read previous snapshot ${outPath}:`, err.message);
+    return { jobs: [], total: 0 };
+  }
+}
+
+// Write-then-rename, so a crash mid-write never leaves a truncated file.
+async function writeJson(path, value) {
+  await writeFile(`${path}.tmp`, JSON.stringify(value, null, 2), 'utf8');
+  await rename(`${path}.tmp`, path);
+}
+
+// Everything between collecting and publishing: the risk screen, dedupe,
+// history against the previous snapshot's jobs, and schema validation.
+function processJobs(allJobs, previousJobs, now) {
+  const { kept, dropped } = screenJobs(allJobs, { flagAt: qualityConfig.riskFlagScore, dropAt: qualityConfig.riskDropScore });
+  for (const job of dropped) {
+    console.warn(`Dropping high-risk job "${job.title}" (${job.source}, score ${job.risk_score}): ${job.risk_reasons.join('; ')}`);
+  }
+  console.log(`Risk screen: ${dropped.length} dropped, ${kept.filter((j) => j.risk_flagged).length} flagged`);
+
+  const { jobs: unique, merges } = dedupe(kept);
+  console.log(`After deduplication: ${unique.length} (${merges} duplicate listings merged across sources)`);
+
+  const history = applyHistory(unique, previousJobs, now);
+  console.log(`History: ${history.added.length} new, ${history.removed.length} expired`);
+
+  // Listings carried over from older snapshots get the same cleaning.
+  const { valid, invalid } = partitionJobs(history.jobs.map(sanitizeJob).filter(Boolean));
+  for (const { job, reason } of invalid.slice(0, 10)) {
+    console.warn(`Dropping invalid job "${job.title}" (${job.source}): ${reason}`);
+  }
+  if (invalid.length > 10) console.warn(`...and ${invalid.length - 10} more invalid jobs`);
+
+  const jobs = valid.sort((a, b) => new Date(b.posted_at) - new Date(a.posted_at));
+  return { jobs, active: jobs.filter((j) => !j.expired), history, invalid };
+}
+
+/**
+ * True for a snapshot written before job ids, history and classification
+ * existed, whose jobs carry only title, source, source_url, posted_at,
+ * tags, location and excerpt.
+ */
+export function isLegacySnapshot(data) {
+  return (data.jobs || []).some((job) => !job.id);
+}
+
+/**
+ * Upgrades a legacy snapshot to the current format by running its jobs
+ * through the same steps as a fetch: normalizing and classifying (toJob),
+ * the risk screen, dedupe and history. The snapshot's updated_at becomes
+ * every job's first_seen. Nothing is fetched.
+ * @returns {{ payload: object, invalid: object[] }}
+ */
+export function migrateSnapshot(data) {
+  const now = new Date(data.updated_at || Date.now());
+  const allJobs = (data.jobs || []).map((job) => toJob({
+    title: job.title,
+    company: job.company,
+    link: job.source_url,
+    published: job.posted_at,
+    description: job.excerpt,
+    location: job.location,
+  }, job.source)).filter(Boolean);
+  const { jobs, active, invalid } = processJobs(allJobs, [], now);
+  return {
+    payload: {
+      updated_at: now.toISOString(),
+      total_jobs: active.length,
+      sources: data.sources || [...new Set(jobs.map((j) => j.source))],
+      jobs,
+    },
+    invalid,
+  };
+}
+
+/** Writes a migrated snapshot in place of `path`. */
+export async function writeSnapshot(path, payload) {
+  await mkdir(dirname(path), { recursive: true });
+  await writeJson(path, payload);
+}
+
+/**
+ * Runs the whole pipeline and publishes the result next to `outPath`.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.sources] defaults to every source in sources.mjs
+ * @param {string} [options.outPath] jobs.json to read history from and write
+ * @param {string|null} [options.fixturesDir] read saved bodies instead of fetching
+ * @param {string|null} [options.cacheDir] conditional-request cache; null disables it
+ * @param {boolean} [options.dryRun] run the gate but write nothing (not even health)
+ * @param {number} [options.timeoutMs] also `retries` and `backoffMs`, as for collect()
+ * @returns {Promise<{ payload: object, changes: object, health: object[], written: boolean }>}
+ * @throws {QualityGateError} when the run must not be published
+ */
+export async function fetchJobs(options = {}) {
+  const {
+    sources = SOURCES,
+    outPath = OUT_PATH,
+    fixturesDir = FIXTURES_DIR,
+    cacheDir = CACHE_DIR,
+    dryRun = false,
+    timeoutMs,
+    retries,
+    backoffMs,
+  } = options;
+  const changesPath = resolve(dirname(outPath), 'jobs-changes.json');
+  const healthPath = resolve(dirname(outPath), 'jobs-health.json');
+  const searchPath = resolve(dirname(outPath), 'jobs-search.json');
+
+  console.log('Starting job fetch process...');
+  
+  const results = await mapConcurrent(sources, DEFAULTS.concurrency, (src) => {
+    console.log(`Processing source: ${src.name} (${src.type})`);
+    return collect(src, { fixturesDir, cacheDir, timeoutMs, retries, backoffMs });
+  });
+  const allJobs = results.flatMap((r) => r.jobs);
+  const health = results.map((r) => r.health);
+
+  console.log(`Total raw jobs collected: ${allJobs.length}`);
+
+  const now = new Date();
+  const previous = await readPrevious(outPath);
+  const { jobs, active, history, invalid } = processJobs(allJobs, previous.jobs, now);
+  const payload = {
+    updated_at: now.toISOString(),
+    total_jobs: active.length,
+    sources: sources.map(s => s.name),
+    jobs
+  };
+
+  const changes = {
+    updated_at: payload.updated_at,
+    total_jobs: active.length,
+    added: history.added,
+    removed: history.removed
+  };
+
+  if (dryRun) {
+    assertPublishable({ payload, previousTotal: previous.total, health, invalidCount: invalid.length });
+    console.log(`Dry run: ${active.length} jobs would be written to ${outPath}`);
+    return { payload, changes, health, written: false };
+  }
+
+  await mkdir(dirname(outPath), { recursive: true });
+  // The health report is written whatever the gate decides: it is how a
+  // refused run gets diagnosed.
+  await writeJson(healthPath, { checked_at: payload.updated_at, sources: health });
+
+  assertPublishable({ payload, previousTotal: previous.total, health, invalidCount: invalid.length });
+
+  await writeJson(outPath, payload);
+  await writeJson(changesPath, changes);
+  await writeFile(searchPath, JSON.stringify(buildIndex(active)), 'utf8');
+  console.log(`Successfully wrote ${active.length} jobs to ${outPath}`);
+  return { payload, changes, health, written: true };
+}
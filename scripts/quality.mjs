@@ -0,0 +1,113 @@
+// Schema validation and the publish gate for jobs.json.
+//
+// Records that fail the schema are dropped individually; the run as a
+// whole is refused (and the previous jobs.json left in place) when the
+// thresholds in quality.config.json are crossed.
+import { readFile } from 'node:fs/promises';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { taxonomy } from './classify.mjs';
+
+const schema = JSON.parse(await readFile(new URL('./jobs.schema.json', import.meta.url), 'utf8'));
+export const config = JSON.parse(await readFile(new URL('./quality.config.json', import.meta.url), 'utf8'));
+
+// Classification fields may only use the taxonomy's vocabulary.
+const jobProps = schema.definitions.job.properties;
+jobProps.category.enum = [...taxonomy.categories.map((c) => c.id), 'other'];
+jobProps.seniority.enum = [...taxonomy.seniority.map((s) => s.id), taxonomy.default_seniority];
+jobProps.employment_type.enum = taxonomy.employment_types.map((e) => e.id);
+jobProps.skills.items.enum = taxonomy.skills.map((s) => s.id);
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+ajv.addSchema(schema);
+const validatePayloadSchema = ajv.getSchema(schema.$id);
+const validateJobSchema = ajv.getSchema(`${schema.$id}#/definitions/job`);
+
+export class QualityGateError extends Error {
+  constructor(failures) {
+    super(`Refusing to publish jobs.json:\n  - ${failures.join('\n  - ')}`);
+    this.name = 'QualityGateError';
+    this.failures = failures;
+  }
+}
+
+function describe(errors = []) {
+  return errors.map((e) => `${e.instancePath || '/'} ${e.message}`).join('; ');
+}
+
+// Round-trip through JSON so the check sees exactly what gets written
+// (undefined fields disappear).
+function asWritten(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @returns {{ valid: object[], invalid: { job: object, reason: string }[] }}
+ */
+export function partitionJobs(jobs) {
+  const valid = [];
+  const invalid = [];
+  for (const job of jobs) {
+    if (validateJobSchema(asWritten(job))) valid.push(job);
+    else invalid.push({ job, reason: describe(validateJobSchema.errors) });
+  }
+  return { valid, invalid };
+}
+
+/**
+ * Everything wrong with a snapshot as published, one message per problem
+ * (empty when it is valid): schema errors, a total_jobs that doesn't match
+ * the live jobs, and ids or listing URLs used twice.
+ * @returns {string[]}
+ */
+export function snapshotErrors(payload) {
+  if (!validatePayloadSchema(asWritten(payload))) {
+    return validatePayloadSchema.errors.map((e) => `${e.instancePath || '/'} ${e.message}`);
+  }
+  const errors = [];
+  const active = payload.jobs.filter((j) => !j.expired).length;
+  if (payload.total_jobs !== active) errors.push(`/total_jobs is ${payload.total_jobs} but ${active} jobs are live`);
+  for (const field of ['id', 'source_url']) {
+    const seen = new Set();
+    payload.jobs.forEach((job, i) => {
+      if (seen.has(job[field])) errors.push(`/jobs/${i}/${field} ${job[field]} appears more than once`);
+      seen.add(job[field]);
+    });
+  }
+  return errors;
+}
+
+/** @throws {QualityGateError} */
+export function assertPublishable({ payload, previousTotal, health, invalidCount }) {
+  const failures = [];
+
+  if (!validatePayloadSchema(asWritten(payload))) {
+    failures.push(`payload does not match schema: ${describe(validatePayloadSchema.errors)}`);
+  }
+
+  const total = payload.total_jobs;
+  if (total < config.minTotalJobs) {
+    failures.push(`only ${total} active jobs (minimum ${config.minTotalJobs})`);
+  }
+
+  if (previousTotal > 0) {
+    const drop = ((previousTotal - total) / previousTotal) * 100;
+    if (drop > config.maxDropPercent) {
+      failures.push(`active jobs fell ${drop.toFixed(0)}% (${previousTotal} → ${total}, limit ${config.maxDropPercent}%)`);
+    }
+  }
+
+  const checked = payload.jobs.length + invalidCount;
+  if (checked && (invalidCount / checked) * 100 > config.maxInvalidPercent) {
+    failures.push(`${invalidCount} of ${checked} records failed validation (limit ${config.maxInvalidPercent}%)`);
+  }
+
+  if (config.failOnEmptySource) {
+    for (const h of health) {
+      if (h.items === 0) failures.push(`${h.source} returned 0 items${h.error ? ` (${h.error})` : ''}`);
+    }
+  }
+
+  if (failures.length) throw new QualityGateError(failures);
+}
@@ -0,0 +1,118 @@
+// Local stand-in for the job boards. Serves saved feed bodies from a
+// fixtures directory over HTTP, so the fetcher can run end to end (timeouts,
+// retries, redirects, the conditional-request cache) without network access,
+// and can make any feed misbehave the way the real boards sometimes do.
+//
+//   GET /<source id>   the source's fixture, <dir>/<id>.<ext>
+//
+// Scenarios, set per source id:
+//   ok          200 with an ETag; a matching If-None-Match gets a 304
+//   slow[:ms]   answers after a delay (default 3000ms), to trip timeouts
+//   500         always 500 Internal Server Error
+//   flaky       500 on the first request, then ok, to exercise retries
+//   redirect    302 to /<id>/moved, which serves the feed
+//   malformed   the first half of the body, cut off mid-document
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { SOURCES, fixturePath } from './sources.mjs';
+
+export const SCENARIOS = ['ok', 'slow', '500', 'flaky', 'redirect', 'malformed'];
+const SLOW_MS = 3000;
+
+/**
+ * Parses "remotive=slow:5000" (or several, comma-separated) into
+ * { remotive: { kind: 'slow', ms: 5000 } }.
+ * @throws {Error} on an unknown scenario
+ */
+export function parseScenarios(specs = []) {
+  const scenarios = {};
+  for (const spec of [].concat(specs).flatMap((s) => s.split(',')).filter(Boolean)) {
+    const [id, value = ''] = spec.split('=');
+    const [kind, ms] = value.split(':');
+    if (!SCENARIOS.includes(kind)) {
+      throw new Error(`Unknown scenario "${value}" for ${id} (expected ${SCENARIOS.join(', ')})`);
+    }
+    scenarios[id] = { kind, ms: ms ? Number(ms) : SLOW_MS };
+  }
+  return scenarios;
+}
+
+const etagOf = (body) => `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+
+/**
+ * Starts the server. Port 0 picks a free one; `url` is where it listens.
+ * `requests` logs every request as { method, path, status } for callers
+ * that want to check what the fetcher did.
+ * @returns {Promise<{ url: string, requests: object[], close: () => Promise<void> }>}
+ */
+export async function startReplayServer({ dir, sources = SOURCES, scenarios = {}, port = 0, host = '127.0.0.1' }) {
+  const byId = new Map(sources.map((src) => [src.id, src]));
+  const hits = new Map();
+  const requests = [];
+
+  async function handle(req, res) {
+    const [, id, moved] = new URL(req.url, 'http://replay').pathname.split('/');
+    const src = byId.get(id);
+    const file = src && fixturePath(dir, src);
+    const send = (status, headers = {}, body = '') => {
+      requests.push({ method: req.method, path: req.url, status });
+      res.writeHead(status, headers);
+      res.end(body);
+    };
+
+    if (!file || !existsSync(file)) return send(404, { 'content-type': 'text/plain' }, `no fixture for "${id}"\n`);
+
+    const { kind, ms } = scenarios[id] || { kind: 'ok' };
+    const count = (hits.get(id) || 0) + 1;
+    hits.set(id, count);
+
+    if (kind === '500' || (kind === 'flaky' && count === 1)) {
+      return send(500, { 'content-type': 'text/plain' }, 'Internal Server Error\n');
+    }
+    if (kind === 'redirect' && !moved) return send(302, { location: `/${id}/moved` });
+    if (kind === 'slow') {
+      await new Promise((done) => {
+        const timer = setTimeout(done, ms);
+        // The fetcher gave up: stop waiting so the server can close.
+        res.on('close', () => {
+          clearTimeout(timer);
+          done();
+        });
+      });
+      if (res.destroyed) return;
+    }
+
+    let body = await readFile(file, 'utf8');
+    if (kind === 'malformed') body = body.slice(0, Math.floor(body.length / 2));
+    const etag = etagOf(body);
+    if (req.headers['if-none-match'] === etag) return send(304, { etag });
+    send(200, { 'content-type': src.type === 'json' ? 'application/json' : 'application/xml', etag }, body);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) res.writeHead(500);
+      res.end(String(err.message));
+    });
+  });
+  await new Promise((done, fail) => {
+    server.once('error', fail);
+    server.listen(port, host, done);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}`,
+    requests,
+    close: () => new Promise((done) => {
+      server.closeAllConnections?.();
+      server.close(() => done());
+    }),
+  };
+}
+
+/** The sources with their URLs pointed at a replay server. */
+export function replaySources(url, sources = SOURCES) {
+  return sources.map((src) => ({ ...src, url: `${url}/${src.id}` }));
+}
@@ -0,0 +1,85 @@
+// Read-only reports on published snapshots, for `cli.mjs stats` and
+// `cli.mjs diff`. Both work on any jobs.json, including old ones without
+// job ids: jobs are matched by canonical listing URL, which is what ids are
+// derived from anyway (history.mjs).
+import { readFile } from 'node:fs/promises';
+import { canonicalUrl } from './dedupe.mjs';
+
+/**
+ * Reads a snapshot file.
+ * @throws {Error} naming the file when it is missing or not JSON
+ */
+export async function readSnapshot(path) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read ${path}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${path} is not valid JSON: ${err.message}`);
+  }
+}
+
+// { value: count }, most common first.
+function countBy(jobs, key) {
+  const counts = {};
+  for (const job of jobs) {
+    for (const value of [].concat(key(job) ?? 'unknown')) counts[value] = (counts[value] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+/** Counts over a snapshot's live jobs, by source, category and the rest. */
+export function snapshotStats(data) {
+  const jobs = data.jobs || [];
+  const active = jobs.filter((j) => !j.expired);
+  const posted = active.map((j) => j.posted_at).filter(Boolean).sort();
+  return {
+    updated_at: data.updated_at ?? null,
+    total_jobs: active.length,
+    expired: jobs.length - active.length,
+    with_salary: active.filter((j) => j.salary).length,
+    risk_flagged: active.filter((j) => j.risk_flagged).length,
+    cross_posted: active.filter((j) => (j.sources || []).length > 1).length,
+    oldest_posted: posted[0] ?? null,
+    newest_posted: posted[posted.length - 1] ?? null,
+    by_source: countBy(active, (j) => j.source),
+    by_category: countBy(active, (j) => j.category),
+    by_seniority: countBy(active, (j) => j.seniority),
+    by_employment_type: countBy(active, (j) => j.employment_type),
+    by_remote_scope: countBy(active, (j) => j.remote_scope),
+    top_skills: Object.fromEntries(Object.entries(countBy(active, (j) => j.skills || [])).slice(0, 10)),
+  };
+}
+
+const keyOf = (job) => canonicalUrl(job.source_url);
+
+// Fields whose change is worth reporting; the rest (last_seen, excerpt
+// whitespace, ...) move on every run.
+const TRACKED_FIELDS = ['title', 'company', 'location', 'salary', 'category', 'seniority', 'employment_type', 'risk_flagged'];
+
+const summary = (job) => ({ id: job.id, title: job.title, company: job.company, source: job.source });
+
+/**
+ * Live jobs added and removed between two snapshots, and jobs whose
+ * tracked fields changed: { added, removed, changed: [{ ...job, fields }] }.
+ */
+export function diffSnapshots(before, after) {
+  const live = (data) => new Map((data.jobs || []).filter((j) => !j.expired).map((j) => [keyOf(j), j]));
+  const old = live(before);
+  const now = live(after);
+
+  const added = [...now.keys()].filter((k) => !old.has(k)).map((k) => summary(now.get(k)));
+  const removed = [...old.keys()].filter((k) => !now.has(k)).map((k) => summary(old.get(k)));
+  const changed = [];
+  for (const [key, job] of now) {
+    const prev = old.get(key);
+    if (!prev) continue;
+    const fields = TRACKED_FIELDS.filter((f) => JSON.stringify(prev[f]) !== JSON.stringify(job[f]));
+    if (fields.length) changed.push({ ...summary(job), fields });
+  }
+  return { total_before: old.size, total_after: now.size, added, removed, changed };
+}
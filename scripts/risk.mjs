@@ -0,0 +1,119 @@
+// Scam and low-quality listing detection.
+//
+// Rules follow the red flags in the "avoid remote job scams" blog post.
+// Each matching rule adds its weight to a 0–100 risk score and its reason
+// to the list shown on the board.
+
+const BEGINNER = /\b(no experience|entry[- ]level|beginners?|no skills|anyone can)\b/i;
+
+// Payment and chat apps come up in plenty of honest listings ("credit card
+// processing", "bots for Telegram"), so these only match when the listing
+// asks the applicant for the details, or to pay or talk that way.
+const ASKS_FOR_DETAILS = /\b(provide|send|share|submit|email|text|give|enter|need|require|ask for)\b[^.]{0,20}\byour (ssn|social security number|bank (account|details)|account (number|details)|routing number|(credit|debit) card)\b/i;
+const BY_CARD = String.raw`\b(by|with|via|using) (a |your )?(credit|debit) card\b`;
+const PAY_BY_CARD = new RegExp(
+  String.raw`\b(you|you'll|you will|must|need to|have to|please) pay\b[^.]{0,40}${BY_CARD}|\bpay\b[^.]{0,30}(\bfee|\bdeposit|\bkit|\btraining|\bregistration|\$\s?\d|\b\d+ (dollars|usd))[^.]{0,20}${BY_CARD}`,
+  'i'
+);
+const CHAT_APPS = String.raw`(telegram|whats\s?app|signal( app)?|wickr|google hangouts|kik)`;
+const CHAT_CONTACT = new RegExp(
+  String.raw`\b((contact|message|text|reach( out to)?|chat with|add|dm|write to|talk to) (us|me|(our|the) (hr|recruit\w*|hiring manager|team))|(send|submit) (us )?your (cv|resume|application)|interviews? (are |is |will be )?(held |conducted |done )?|apply( only)?)\b[^.]{0,20}\b(on|via|through|over|using|at) ${CHAT_APPS}\b`,
+  'i'
+);
+const CHAT_HANDLE = new RegExp(String.raw`\b${CHAT_APPS}( id| handle| username| number)?\s*:?\s*[@+]`, 'i');
+
+const RULES = [
+  {
+    weight: 60,
+    reason: 'asks for an upfront fee (training, starter kit or registration)',
+    test: (t) => /\b(training|starter[- ]kit|registration|application|processing|onboarding)\s+fee\b|\bupfront (fee|payment|cost)|\bpay (for|a fee for) (your )?(training|kit|equipment|materials)/i.test(t),
+  },
+  {
+    weight: 60,
+    reason: 'reshipping or package-forwarding work',
+    test: (t) => /\bre-?ship(ping|per)?\b|\b(package|parcel)s? (forward|handl|inspect|reship)|\breceive (and|&) (forward|re-?ship)/i.test(t),
+  },
+  {
+    weight: 60,
+    reason: 'fake-check pattern (deposit a check, wire back the difference)',
+    test: (t) => /\b(send|mail) you a (check|cheque)\b|\bdeposit (the|a) (check|cheque)\b|\bwire (back |the )?(money|funds|remaining|difference)\b/i.test(t),
+  },
+  {
+    weight: 40,
+    reason: 'asks for SSN, bank or card details up front',
+    test: (t) => ASKS_FOR_DETAILS.test(t) || PAY_BY_CARD.test(t),
+  },
+  {
+    weight: 35,
+    reason: 'contact only through Telegram, WhatsApp or similar',
+    test: (t) => CHAT_CONTACT.test(t) || CHAT_HANDLE.test(t),
+  },
+  {
+    weight: 25,
+    reason: 'personal email address instead of a company domain',
+    test: (t) => /@(gmail|yahoo|hotmail|outlook|aol|proton(mail)?|icloud)\.(com|me)\b/i.test(t),
+  },
+  {
+    weight: 30,
+    reason: 'hired without an interview or application review',
+    test: (t) => /\b(hired (immediately|today|on the spot)|no interview|instant(ly)? hired?|start (today|immediately),? no)\b/i.test(t),
+  },
+  {
+    weight: 15,
+    reason: 'pressure language ("act now", "limited spots")',
+    test: (t) => /\b(act now|limited (time|spots|positions)|only \d+ (spots|positions) left|apply (now|today) before|hurry)\b/i.test(t),
+  },
+  {
+    weight: 40,
+    reason: 'too-good-to-be-true pay for beginner work',
+    test: (t, job) => {
+      const s = job.salary;
+      const highHourly = s && ((s.period === 'hour' && s.min >= 50) || (s.period === 'day' && s.min >= 400));
+      return Boolean(highHourly && BEGINNER.test(t)) || /\bearn \$?\d{3,}\+? ?(a|per|\/) ?(day|hour)\b/i.test(t);
+    },
+  },
+  {
+    weight: 30,
+    reason: 'link goes through a shortener or chat invite',
+    test: (t, job) => /^https?:\/\/(bit\.ly|tinyurl\.com|t\.me|wa\.me|goo\.gl|is\.gd|cutt\.ly|rebrand\.ly)\//i.test(job.source_url || ''),
+  },
+  {
+    weight: 15,
+    reason: 'vague listing with no company and almost no description',
+    test: (t, job) => !job.company && (job.description || '').length < 60,
+  },
+  {
+    weight: 10,
+    reason: 'shouty or sloppy copy (ALL CAPS, "!!!")',
+    // ALL CAPS needs capitals and no lower case; scripts without case
+    // (Chinese, Arabic) or a title of digits are not shouting.
+    test: (t, job) => /!{2,}|\${2,}/.test(t) || (job.title.length > 10 && /\p{Lu}/u.test(job.title) && !/\p{Ll}/u.test(job.title)),
+  },
+];
+
+/**
+ * @param {object} job  normalized job plus its full `description`
+ * @returns {{ risk_score: number, risk_reasons: string[] }}
+ */
+export function scoreJob(job) {
+  const text = `${job.title} ${job.company || ''} ${job.description || ''}`;
+  const hits = RULES.filter((rule) => rule.test(text, job));
+  return {
+    risk_score: Math.min(100, hits.reduce((sum, rule) => sum + rule.weight, 0)),
+    risk_reasons: hits.map((rule) => rule.reason),
+  };
+}
+
+/**
+ * Drops listings at or above `dropAt` and flags those at or above `flagAt`.
+ * @returns {{ kept: object[], dropped: object[] }}
+ */
+export function screenJobs(jobs, { flagAt, dropAt }) {
+  const kept = [];
+  const dropped = [];
+  for (const job of jobs) {
+    if (job.risk_score >= dropAt) dropped.push(job);
+    else kept.push(job.risk_score >= flagAt ? { ...job, risk_flagged: true } : job);
+  }
+  return { kept, dropped };
+}
@@ -0,0 +1,107 @@
+// Job board sources.
+// Each source names the adapter that understands its feed (`type`) and,
+// where the feed differs from the adapter defaults, its own field mapping
+// (`map`). Adding a board should only ever mean adding an entry here.
+//
+// `id` doubles as the fixture file name: scripts/fixtures/<id>.<ext>
+// Optional `timeoutMs` and `retries` override the defaults in http.mjs for
+// slow or flaky boards.
+import { resolve } from 'node:path';
+
+export const SOURCES = [
+  {
+    id: 'remoteok',
+    name: 'Remote OK',
+    type: 'rss',
+    url: 'https://remoteok.com/rss',
+    map: {
+      company: 'company',
+      location: 'location',
+      categories: 'tags',
+    },
+  },
+  {
+    id: 'weworkremotely',
+    name: 'We Work Remotely',
+    type: 'rss',
+    url: 'https://weworkremotely.com/remote-jobs.rss',
+    map: {
+      location: 'region',
+    },
+  },
+  {
+    id: 'jobicy',
+    name: 'Jobicy',
+    type: 'rss',
+    url: 'https://jobicy.com/feed',
+    map: {
+      company: 'job_listing:company',
+      location: 'job_listing:location',
+    },
+  },
+  {
+    id: 'himalayas',
+    name: 'Himalayas',
+    type: 'rss',
+    url: 'https://himalayas.app/jobs/rss',
+    map: {
+      company: 'himalayasJobs:companyName',
+      location: 'himalayasJobs:locationRestriction',
+    },
+  },
+  {
+    id: 'remoteco',
+    name: 'Remote.co',
+    type: 'rss',
+    url: 'https://remote.co/remote-jobs/feed/',
+  },
+  {
+    id: 'remotive',
+    name: 'Remotive',
+    type: 'json',
+    url: 'https://remotive.com/api/remote-jobs',
+    map: {
+      items: 'jobs',
+      title: 'title',
+      link: 'url',
+      published: 'publication_date',
+      description: 'description',
+      company: 'company_name',
+      location: 'candidate_required_location',
+      salary: 'salary',
+      categories: 'tags',
+    },
+  },
+  {
+    id: 'workingnomads',
+    name: 'Working Nomads',
+    type: 'json',
+    url: 'https://www.workingnomads.com/api/exposed_jobs/',
+    map: {
+      items: '',
+      title: 'title',
+      link: 'url',
+      published: 'pub_date',
+      description: 'description',
+      company: 'company_name',
+      location: 'location',
+      categories: 'tags',
+    },
+  },
+];
+
+/** Where a fixtures directory keeps a source's saved body: <dir>/<id>.<ext>. */
+export function fixturePath(dir, src) {
+  return resolve(dir, `${src.id}.${src.type === 'json' ? 'json' : 'xml'}`);
+}
+
+/**
+ * The source with this id or name (case-insensitive).
+ * @throws {Error} naming the known ids when there is none
+ */
+export function findSource(key) {
+  const wanted = String(key).toLowerCase();
+  const src = SOURCES.find((s) => s.id === wanted || s.name.toLowerCase() === wanted);
+  if (!src) throw new Error(`Unknown source "${key}" (known: ${SOURCES.map((s) => s.id).join(', ')})`);
+  return src;
+}
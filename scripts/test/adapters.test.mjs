@@ -0,0 +1,140 @@
+// The rss, atom and json adapters against small hand-written bodies, plus
+// every saved feed in scripts/fixtures.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { getAdapter } from '../adapters/index.mjs';
+import * as rss from '../adapters/rss.mjs';
+import * as atom from '../adapters/atom.mjs';
+import * as json from '../adapters/json.mjs';
+import { SOURCES, fixturePath } from '../sources.mjs';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url).pathname;
+
+test('rss: CDATA descriptions, entities, Dublin Core and enclosures', () => {
+  const [item] = rss.parse(`<?xml version="1.0"?>
+    <rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <channel><title>Board</title><link>https://board.example</link>
+        <item>
+          <title>Acme &amp; Co: Support &#8211; EMEA</title>
+          <link>https://board.example/jobs/1</link>
+          <pubDate>Mon, 08 Sep 2025 10:00:00 GMT</pubDate>
+          <description><![CDATA[<p>Help customers &amp; more</p>]]></description>
+          <dc:creator>Acme &amp; Co</dc:creator>
+          <category>Support</category><category>Support</category><category>EMEA</category>
+          <enclosure url="https://board.example/logo.png" type="image/png" />
+        </item>
+      </channel>
+    </rss>`, { name: 'Board' });
+
+  assert.equal(item.title, 'Acme & Co: Support – EMEA');
+  assert.equal(item.link, 'https://board.example/jobs/1');
+  assert.equal(item.published, 'Mon, 08 Sep 2025 10:00:00 GMT');
+  assert.equal(item.description, '<p>Help customers &amp; more</p>');
+  assert.equal(item.author, 'Acme & Co');
+  assert.deepEqual(item.categories, ['Support', 'EMEA']);
+  assert.deepEqual(item.enclosure, { url: 'https://board.example/logo.png', type: 'image/png' });
+});
+
+test('rss: RSS 1.0 items beside the channel, linked by rdf:about', () => {
+  const items = rss.parse(`<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <channel rdf:about="https://board.example"><title>Board</title></channel>
+      <item rdf:about="https://board.example/jobs/2"><title>Writer</title><dc:date>2025-09-08T10:00:00Z</dc:date></item>
+    </rdf:RDF>`, { name: 'Board' });
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].link, 'https://board.example/jobs/2');
+  assert.equal(items[0].published, '2025-09-08T10:00:00Z');
+});
+
+test('rss: a source map overrides the defaults', () => {
+  const [item] = rss.parse(
+    '<rss><channel><item><title>Dev</title><guid>https://b.example/3</guid><region>Europe</region></item></channel></rss>',
+    { name: 'Board', map: { location: 'region' } }
+  );
+  assert.equal(item.link, 'https://b.example/3');
+  assert.equal(item.location, 'Europe');
+});
+
+test('atom: the alternate link is the job, the enclosure link is media', () => {
+  const [entry] = atom.parse(`<feed xmlns="http://www.w3.org/2005/Atom">
+      <title>Board</title><link rel="self" href="https://board.example/feed" />
+      <entry>
+        <title type="html">Designer &lt;Remote&gt;</title>
+        <id>urn:uuid:1</id>
+        <link rel="enclosure" type="image/png" href="https://board.example/logo.png" />
+        <link href="https://board.example/jobs/4" />
+        <updated>2025-09-08T10:00:00Z</updated>
+        <summary>Design things</summary>
+        <author><name>Studio</name></author>
+        <category term="Design" /><category term="Remote" />
+      </entry>
+    </feed>`, { name: 'Board' });
+
+  assert.equal(entry.title, 'Designer <Remote>');
+  assert.equal(entry.link, 'https://board.example/jobs/4');
+  assert.equal(entry.published, '2025-09-08T10:00:00Z');
+  assert.equal(entry.description, 'Design things');
+  assert.equal(entry.author, 'Studio');
+  assert.deepEqual(entry.categories, ['Design', 'Remote']);
+  assert.deepEqual(entry.enclosure, { url: 'https://board.example/logo.png', type: 'image/png' });
+});
+
+test('atom: prefixed links are found by local name, and the id is the fallback link', () => {
+  const [linked, unlinked] = atom.parse(`<atom:feed xmlns:atom="http://www.w3.org/2005/Atom">
+      <atom:entry><atom:link rel="alternate" href="https://board.example/jobs/5" /></atom:entry>
+      <entry><id>https://board.example/jobs/6</id><link rel="related" href="https://elsewhere.example" /></entry>
+    </atom:feed>`, { name: 'Board' });
+
+  assert.equal(linked.link, 'https://board.example/jobs/5');
+  assert.equal(unlinked.link, 'https://board.example/jobs/6');
+});
+
+test('json: dotted paths, a root array and single-value categories', () => {
+  const source = {
+    name: 'Api',
+    map: { items: '', title: 'position', link: 'urls.apply', company: 'org.name', categories: 'dept', published: 'date' },
+  };
+  const [job] = json.parse(JSON.stringify([
+    { position: ' Analyst ', urls: { apply: 'https://api.example/7' }, org: { name: 'Acme' }, dept: 'Data', date: 1757325600 },
+  ]), source);
+
+  assert.equal(job.title, 'Analyst');
+  assert.equal(job.link, 'https://api.example/7');
+  assert.equal(job.company, 'Acme');
+  assert.equal(job.published, '1757325600');
+  assert.equal(job.location, '');
+  assert.deepEqual(job.categories, ['Data']);
+  assert.equal(job.enclosure, null);
+});
+
+test('json: malformed bodies and a missing job array throw', () => {
+  const source = { name: 'Api', map: { items: 'jobs', title: 'title' } };
+  assert.throws(() => json.parse('{"jobs": [', source), SyntaxError);
+  assert.throws(() => json.parse('{"data": []}', source), /Api: no job array at "jobs"/);
+});
+
+test('xml adapters return what they can from a truncated body', () => {
+  const body = '<rss><channel><item><title>Whole</title><link>https://b.example/8</link></item><item><title>Ha';
+  const items = rss.parse(body, { name: 'Board' });
+  assert.equal(items[0].title, 'Whole');
+  assert.equal(items[1].link, '');
+  assert.deepEqual(atom.parse('<feed><entry><title>Half', { name: 'Board' }).map((e) => e.title), ['Half']);
+  assert.deepEqual(rss.parse('not xml at all', { name: 'Board' }), []);
+});
+
+test('every fixture parses to items with a title and a link', async () => {
+  for (const src of SOURCES) {
+    const body = await readFile(fixturePath(FIXTURES, src), 'utf8');
+    const items = getAdapter(src.type).parse(body, src);
+    assert.ok(items.length > 0, `${src.id} has items`);
+    for (const item of items) {
+      assert.ok(item.title, `${src.id} item has a title`);
+      assert.ok(item.link, `${src.id} "${item.title}" has a link`);
+    }
+  }
+});
+
+test('an unknown source type is an error', () => {
+  assert.throws(() => getAdapter('csv'), /Unknown source type "csv"/);
+});
@@ -0,0 +1,30 @@
+// Seniority from job titles (classify.mjs with the rules in taxonomy.json).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyJob } from '../classify.mjs';
+
+const seniorityOf = (title, description = '') => classifyJob({ title, description, categories: [] }).seniority;
+
+test('lead roles are senior', () => {
+  for (const title of [
+    'Lead Developer', 'Lead Product Designer', 'Team Lead Customer Support', 'Tech Lead (Node.js)',
+    'Engineering Lead', 'Support Lead, EMEA', 'AI Lead (AI Engineer)', 'Design Lead \u2013 Mobile',
+    'ML Engineer (Lead AI Engineer)',
+  ]) {
+    assert.equal(seniorityOf(title), 'senior', title);
+  }
+});
+
+test('sales leads and lead generation are not a seniority', () => {
+  for (const title of ['Lead Generation Specialist', 'Lead-Gen Appointment Setter', 'Sales Lead Researcher', 'Sales Lead', 'Leadership Program Coordinator']) {
+    assert.notEqual(seniorityOf(title), 'senior', title);
+  }
+  assert.equal(seniorityOf('Junior Lead Generation Specialist'), 'junior');
+});
+
+test('other senior titles and years of experience still count', () => {
+  assert.equal(seniorityOf('Senior Data Engineer'), 'senior');
+  assert.equal(seniorityOf('Head of Content'), 'senior');
+  assert.equal(seniorityOf('Support Specialist', 'You have 6+ years in support.'), 'senior');
+  assert.equal(seniorityOf('Support Specialist', 'No experience needed, training provided.'), 'entry');
+});
@@ -0,0 +1,19 @@
+// Folding the same listing from several boards into one job (dedupe.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupe } from '../dedupe.mjs';
+
+const job = (source, url, company) => ({
+  title: 'Customer Support Specialist', company, source, source_url: url, posted_at: '2026-06-01T00:00:00Z',
+});
+
+test('a listing matches by company once any member of its group names one', () => {
+  const { jobs, merges } = dedupe([
+    job('board-a', 'https://jobs.example/1', ''),
+    job('board-b', 'https://jobs.example/1?utm_source=feed', 'Acme'),
+    job('board-c', 'https://careers.acme.example/support', 'Acme Inc.'),
+  ]);
+  assert.equal(merges, 2);
+  assert.deepEqual(jobs[0].sources.map((s) => s.source).sort(), ['board-a', 'board-b', 'board-c']);
+  assert.equal(jobs[0].company, 'Acme');
+});
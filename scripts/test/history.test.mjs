@@ -0,0 +1,29 @@
+// Stable ids and first/last-seen dates across runs (history.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyHistory, jobId } from '../history.mjs';
+
+const now = new Date('2026-06-10T06:00:00Z');
+const job = (url, extra = {}) => ({ title: 'Support Agent', company: 'Acme', source: 'board', source_url: url, ...extra });
+
+test('a job seen before keeps its id and first_seen', () => {
+  const previous = [{ ...job('https://a.example/1'), id: 'abc123', first_seen: '2026-06-01T06:00:00.000Z', last_seen: '2026-06-09T06:00:00.000Z' }];
+  const { jobs, added } = applyHistory([job('https://a.example/1')], previous, now);
+  assert.equal(jobs[0].id, 'abc123');
+  assert.equal(jobs[0].first_seen, '2026-06-01T06:00:00.000Z');
+  assert.deepEqual(added, []);
+});
+
+test('two jobs matching one previous record through different URLs get distinct ids', () => {
+  const merged = job('https://a.example/1', {
+    sources: [{ source: 'a', url: 'https://a.example/1' }, { source: 'b', url: 'https://b.example/2' }],
+  });
+  const previous = [{ ...merged, id: jobId(job('https://b.example/2')), first_seen: '2026-06-01T06:00:00.000Z', last_seen: '2026-06-09T06:00:00.000Z' }];
+  const { jobs, added } = applyHistory([job('https://a.example/1'), job('https://b.example/2')], previous, now);
+  const ids = jobs.map((j) => j.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.equal(jobs[0].id, previous[0].id);
+  assert.equal(jobs[0].first_seen, '2026-06-01T06:00:00.000Z');
+  assert.equal(jobs[1].first_seen, now.toISOString());
+  assert.deepEqual(added.map((j) => j.id), [jobs[1].id]);
+});
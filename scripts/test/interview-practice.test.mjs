@@ -0,0 +1,39 @@
+// Loading the interview kit's practice state from whatever localStorage
+// holds, including values an older page or another tab left there.
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { answerFor, drawQuestion, loadPractice } from '../../site/src/lib/interview-practice.js';
+
+const stored = (value) => {
+  globalThis.localStorage = { getItem: () => value, setItem: () => {} };
+};
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('a saved state is loaded over the defaults', () => {
+  stored(JSON.stringify({ stage: 'team', answers: { 'difficult-customer': { situation: 'launch' } } }));
+  const practice = loadPractice();
+  assert.equal(practice.stage, 'team');
+  assert.equal(practice.seconds, 120);
+  assert.equal(answerFor(practice, 'difficult-customer').situation, 'launch');
+});
+
+test('answers that are null, an array or a string fall back to none', () => {
+  for (const answers of [null, [], ['difficult-customer'], 'difficult-customer']) {
+    stored(JSON.stringify({ stage: 'final', answers }));
+    const practice = loadPractice();
+    assert.deepEqual(practice.answers, {}, JSON.stringify(answers));
+    assert.equal(practice.stage, 'final');
+    assert.deepEqual(answerFor(practice, 'difficult-customer').practiced, []);
+    assert.ok(drawQuestion(practice, { random: () => 0 }));
+  }
+});
+
+test('a stored array, number or broken JSON gives the defaults', () => {
+  for (const value of ['[1, 2]', '42', '{"stage":', null]) {
+    stored(value);
+    assert.deepEqual(loadPractice(), { stage: '', seconds: 120, answers: {} }, String(value));
+  }
+});
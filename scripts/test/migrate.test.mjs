@@ -0,0 +1,74 @@
+// Upgrading a snapshot written before job ids existed, as the committed
+// site/public/jobs.json once was.
+import { beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isLegacySnapshot, migrateSnapshot } from '../pipeline.mjs';
+import { snapshotErrors } from '../quality.mjs';
+
+const legacy = {
+  updated_at: '2025-09-09T06:52:08.993Z',
+  total_jobs: 2,
+  sources: ['Himalayas', 'We Work Remotely'],
+  jobs: [
+    {
+      title: 'Senior Data Engineer',
+      source: 'Himalayas',
+      source_url: 'https://himalayas.app/companies/envato/jobs/senior-data-engineer?utm_source=feed',
+      posted_at: '2025-09-09T04:12:28.000Z',
+      tags: ['senior', 'full-time', 'remote'],
+      location: 'Remote',
+      excerpt: 'About Envato. At Envato, everything we do is about empowering creatives to thrive.',
+    },
+    {
+      title: 'Acme: Customer <b>Support</b> Specialist',
+      source: 'We Work Remotely',
+      source_url: 'https://weworkremotely.com/remote-jobs/acme-customer-support-specialist',
+      posted_at: '2025-09-08T10:00:00.000Z',
+      tags: ['remote'],
+      location: 'Anywhere in the World',
+      excerpt: 'Help our customers by email and chat.',
+    },
+    {
+      title: 'Bad Link',
+      source: 'We Work Remotely',
+      source_url: 'javascript:alert(1)',
+      posted_at: '2025-09-08T10:00:00.000Z',
+      tags: [],
+      location: 'Remote',
+      excerpt: '',
+    },
+  ],
+};
+
+beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+});
+
+test('a snapshot without job ids is legacy, a migrated one is not', () => {
+  assert.equal(isLegacySnapshot(legacy), true);
+  assert.ok(snapshotErrors(legacy).length > 0);
+  assert.equal(isLegacySnapshot(migrateSnapshot(legacy).payload), false);
+});
+
+test('migrated jobs pass the schema and keep the snapshot date as first seen', () => {
+  const { payload } = migrateSnapshot(legacy);
+  assert.deepEqual(snapshotErrors(payload), []);
+  assert.equal(payload.updated_at, legacy.updated_at);
+  assert.deepEqual(payload.sources, legacy.sources);
+  assert.equal(payload.total_jobs, 2);
+  for (const job of payload.jobs) {
+    assert.ok(job.id);
+    assert.equal(job.first_seen, legacy.updated_at);
+  }
+});
+
+test('migrated jobs are cleaned and classified like fetched ones', () => {
+  const { payload } = migrateSnapshot(legacy);
+  const [engineer, support] = payload.jobs;
+  assert.equal(engineer.source_url, 'https://himalayas.app/companies/envato/jobs/senior-data-engineer');
+  assert.equal(engineer.seniority, 'senior');
+  assert.equal(support.company, 'Acme');
+  assert.equal(support.title, 'Customer Support Specialist');
+  assert.ok(!payload.jobs.some((job) => job.title === 'Bad Link'));
+});
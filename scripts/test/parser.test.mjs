@@ -0,0 +1,108 @@
+// The streaming XML tokenizer (xml/parser.mjs) and the item trees built on
+// it (xml/feed.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createXmlParser } from '../xml/parser.mjs';
+import { parseItems, pickField, pickFieldAll, select } from '../xml/feed.mjs';
+
+// Every event as a flat list: ['open', name, uri], ['text', text], ['close', name].
+function events(chunks) {
+  const log = [];
+  const parser = createXmlParser({
+    onOpen: (el) => log.push(['open', el.name, el.uri]),
+    onText: (text) => {
+      const last = log[log.length - 1];
+      if (last && last[0] === 'text') last[1] += text;
+      else log.push(['text', text]);
+    },
+    onClose: (el) => log.push(['close', el.name]),
+  });
+  for (const chunk of [].concat(chunks)) parser.write(chunk);
+  parser.end();
+  return log;
+}
+
+test('CDATA is passed through as text, undecoded and with its markup', () => {
+  const [item] = parseItems('<item><description><![CDATA[<p>Tom &amp; Jerry</p>]]></description></item>', ['item']);
+  assert.equal(pickField(item, 'description'), '<p>Tom &amp; Jerry</p>');
+});
+
+test('entities are decoded in text and attributes, unknown ones kept', () => {
+  const [item] = parseItems(
+    '<item><title>R&amp;D &#8217;n&#x2019; caf&eacute; &bogus;</title><link href="a?x=1&amp;y=2"/></item>',
+    ['item']
+  );
+  assert.equal(pickField(item, 'title'), 'R&D ’n’ café &bogus;');
+  assert.equal(pickField(item, 'link@href'), 'a?x=1&y=2');
+});
+
+test('namespace prefixes resolve per element, and default namespaces inherit', () => {
+  const log = events(
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+    '<entry><dc:creator>Ann</dc:creator><x:id xmlns:x="urn:x">1</x:id></entry></feed>'
+  );
+  const opened = log.filter(([kind]) => kind === 'open').map(([, name, uri]) => [name, uri]);
+  assert.deepEqual(opened, [
+    ['feed', 'http://www.w3.org/2005/Atom'],
+    ['entry', 'http://www.w3.org/2005/Atom'],
+    ['dc:creator', 'http://purl.org/dc/elements/1.1/'],
+    ['x:id', 'urn:x'],
+  ]);
+});
+
+test('chunk boundaries inside tags, entities and CDATA change nothing', () => {
+  const xml = '<rss><item><title a="1 > 0">Fish &amp; Chips</title><![CDATA[ <b>x</b> ]]></item></rss>';
+  const whole = events(xml);
+  for (const size of [1, 2, 3, 7]) {
+    const chunks = [];
+    for (let i = 0; i < xml.length; i += size) chunks.push(xml.slice(i, i + size));
+    assert.deepEqual(events(chunks), whole, `chunks of ${size}`);
+  }
+});
+
+test('a bare < in text is kept as text', () => {
+  const [item] = parseItems('<item><salary>< 50k</salary></item>', ['item']);
+  assert.equal(pickField(item, 'salary'), '< 50k');
+});
+
+test('comments, processing instructions and DOCTYPE subsets are skipped', () => {
+  const [item] = parseItems(
+    '<?xml version="1.0"?><!DOCTYPE rss [<!ENTITY x "y">]><rss><!-- <item>no</item> --><item><title>yes</title></item></rss>',
+    ['item']
+  );
+  assert.equal(pickField(item, 'title'), 'yes');
+});
+
+test('a mismatched close tag unwinds to its open element', () => {
+  const log = events('<item><title>One<b>bold</title><link>x</link></item>');
+  assert.deepEqual(log.filter(([kind]) => kind === 'close').map(([, name]) => name), ['b', 'title', 'link', 'item']);
+});
+
+test('a document cut off mid-item still closes what was open', () => {
+  const items = parseItems('<rss><item><title>Kept</title></item><item><title>Cut o', ['item']);
+  assert.equal(items.length, 2);
+  assert.equal(pickField(items[0], 'title'), 'Kept');
+  assert.equal(pickField(items[1], 'title'), 'Cut o');
+});
+
+test('a stray close tag with nothing open is ignored', () => {
+  const items = parseItems('</channel><item><title>A</title></item></rss>', ['item']);
+  assert.deepEqual(items.map((node) => pickField(node, 'title')), ['A']);
+});
+
+test('nested item elements stay inside the outer item', () => {
+  const items = parseItems('<item><title>Outer</title><item><title>Inner</title></item></item>', ['item']);
+  assert.equal(items.length, 1);
+  assert.deepEqual(pickFieldAll(items[0], 'item/title'), ['Inner']);
+});
+
+test('selectors match names as written, prefix included', () => {
+  const [item] = parseItems(
+    '<item xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:d="http://purl.org/dc/elements/1.1/">' +
+    '<dc:creator>Ann</dc:creator><d:creator>Bo</d:creator><author><name>Cy</name></author></item>',
+    ['item']
+  );
+  assert.deepEqual(select(item, 'dc:creator'), ['Ann']);
+  assert.deepEqual(select(item, 'creator'), []);
+  assert.deepEqual(select(item, 'author/name'), ['Cy']);
+});
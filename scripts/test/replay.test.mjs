@@ -0,0 +1,126 @@
+// The whole pipeline, fetch to jobs.json, against the local replay server:
+// one run per scenario, checking the health report and whether the quality
+// gate publishes or refuses the run.
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fetchJobs } from '../pipeline.mjs';
+import { QualityGateError, snapshotErrors } from '../quality.mjs';
+import { parseScenarios, replaySources, startReplayServer } from '../replay-server.mjs';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url).pathname;
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'replay-test-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Runs fetchJobs() against a fresh replay server with `scenarios`.
+ * @returns {{ result?: object, error?: Error, health: object[], requests: object[], outPath: string }}
+ */
+async function run(name, scenarios = '') {
+  const server = await startReplayServer({ dir: FIXTURES, scenarios: parseScenarios(scenarios) });
+  const outPath = join(dir, name, 'jobs.json');
+  try {
+    const result = await fetchJobs({
+      sources: replaySources(server.url),
+      outPath,
+      fixturesDir: null,
+      cacheDir: null,
+      timeoutMs: 500,
+      retries: 1,
+      backoffMs: 10,
+    });
+    return { result, health: result.health, requests: server.requests, outPath };
+  } catch (error) {
+    const report = JSON.parse(await readFile(join(dir, name, 'jobs-health.json'), 'utf8'));
+    return { error, health: report.sources, requests: server.requests, outPath };
+  } finally {
+    await server.close();
+  }
+}
+
+const healthOf = (health, source) => health.find((h) => h.source === source);
+
+describe('replayed fetch', () => {
+  beforeEach((t) => {
+    // The pipeline narrates every step; keep the test output readable.
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  test('ok: every source answers and jobs.json is published', async () => {
+    const { result, health, outPath } = await run('ok');
+    assert.ok(result.written);
+    assert.ok(health.every((h) => h.status === 'ok' && h.http_status === 200 && h.items > 0));
+    for (const file of ['jobs.json', 'jobs-changes.json', 'jobs-health.json', 'jobs-search.json']) {
+      assert.ok(existsSync(join(outPath, '..', file)), `${file} written`);
+    }
+    const snapshot = JSON.parse(await readFile(outPath, 'utf8'));
+    assert.deepEqual(snapshotErrors(snapshot), []);
+    assert.equal(snapshot.total_jobs, result.payload.total_jobs);
+  });
+
+  test('500: the source fails after its retries and the gate refuses the run', async () => {
+    const { error, health, outPath } = await run('500', 'jobicy=500');
+    assert.ok(error instanceof QualityGateError);
+    assert.match(error.message, /Jobicy returned 0 items \(500 Internal Server Error\)/);
+    const jobicy = healthOf(health, 'Jobicy');
+    assert.equal(jobicy.status, 'error');
+    assert.equal(jobicy.http_status, 500);
+    assert.equal(jobicy.attempts, 2, 'first try and one retry');
+    assert.ok(!existsSync(outPath), 'jobs.json left alone');
+  });
+
+  test('slow: the request times out and the gate refuses the run', async () => {
+    const { error, health } = await run('slow', 'himalayas=slow:2000');
+    assert.ok(error instanceof QualityGateError);
+    const himalayas = healthOf(health, 'Himalayas');
+    assert.equal(himalayas.status, 'error');
+    assert.match(himalayas.error, /timed out after 500ms/);
+    assert.ok(healthOf(health, 'Jobicy').items > 0, 'other sources still collected');
+  });
+
+  test('flaky: a retry recovers and the run is published', async () => {
+    const { result, health, requests } = await run('flaky', 'jobicy=flaky');
+    assert.ok(result.written);
+    const jobicy = healthOf(health, 'Jobicy');
+    assert.equal(jobicy.status, 'ok');
+    assert.ok(jobicy.items > 0);
+    assert.deepEqual(requests.filter((r) => r.path === '/jobicy').map((r) => r.status), [500, 200]);
+  });
+
+  test('redirect: the fetcher follows it and the run is published', async () => {
+    const { result, health, requests } = await run('redirect', 'remoteco=redirect');
+    assert.ok(result.written);
+    assert.equal(healthOf(health, 'Remote.co').http_status, 200);
+    assert.deepEqual(requests.filter((r) => r.path.startsWith('/remoteco')).map((r) => [r.path, r.status]), [
+      ['/remoteco', 302],
+      ['/remoteco/moved', 200]
+    ]);
+  });
+
+  test('malformed: a truncated body is a source error and the gate refuses the run', async () => {
+    const { error, health } = await run('malformed', 'remotive=malformed');
+    assert.ok(error instanceof QualityGateError);
+    const remotive = healthOf(health, 'Remotive');
+    assert.equal(remotive.status, 'error');
+    assert.equal(remotive.http_status, 200);
+    assert.equal(remotive.items, 0);
+  });
+});
+
+test('parseScenarios rejects unknown kinds', () => {
+  assert.deepEqual(parseScenarios(['a=slow:50,b=500']), { a: { kind: 'slow', ms: 50 }, b: { kind: '500', ms: 3000 } });
+  assert.throws(() => parseScenarios('a=sideways'), /Unknown scenario/);
+});
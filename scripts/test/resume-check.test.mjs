@@ -0,0 +1,36 @@
+// Bullet rewrites from the ATS checker (site/src/lib/resume-check.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bulletSuggestions } from '../../site/src/lib/resume-check.js';
+
+const suggestion = (bullet) => bulletSuggestions(`- ${bullet}`)[0]?.suggestion.replace(/, \[add a number.*$/, '');
+
+test('openers that take a gerund lose it with the opener', () => {
+  assert.equal(suggestion('Responsible for handling customer tickets'), 'Managed customer tickets');
+  assert.equal(suggestion('Was in charge of running the weekly newsletter'), 'Led the weekly newsletter');
+  assert.equal(suggestion('Tasked with migrating 40 pages to the new CMS'), 'Delivered 40 pages to the new CMS');
+});
+
+test('other openers keep the word after them', () => {
+  assert.equal(suggestion('Helped with onboarding new hires'), 'Supported onboarding new hires');
+  assert.equal(suggestion('Assisted in planning the team offsite'), 'Supported planning the team offsite');
+  assert.equal(suggestion('Participated in hiring for the support team'), 'Contributed to hiring for the support team');
+});
+
+test('a bullet without a number is asked for one; a strong one with a number is left alone', () => {
+  const [weak] = bulletSuggestions('- Wrote the onboarding guide for new support staff');
+  assert.match(weak.suggestion, /\[add a number/);
+  assert.deepEqual(bulletSuggestions('- Cut first-response time from 9 to 2 hours'), []);
+});
+
+test('nouns ending in -ing stay after the opener', () => {
+  assert.equal(suggestion('Responsible for billing and invoicing for 40 clients'), 'Managed billing and invoicing for 40 clients');
+  assert.equal(suggestion('In charge of everything related to 5 client accounts'), 'Led everything related to 5 client accounts');
+  assert.equal(suggestion('Responsible for marketing campaigns'), 'Managed marketing campaigns');
+  assert.equal(suggestion('Responsible for onboarding 12 new hires'), 'Managed onboarding 12 new hires');
+});
+
+test('a gerund followed by a conjunction or preposition is kept', () => {
+  assert.equal(suggestion('Responsible for handling and routing tickets'), 'Managed handling and routing tickets');
+  assert.equal(suggestion('Responsible for planning for the 3 regional teams'), 'Managed planning for the 3 regional teams');
+});
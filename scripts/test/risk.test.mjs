@@ -0,0 +1,63 @@
+// The scam screen (risk.mjs): scam phrasing scores, while honest listings
+// that merely mention payments or chat apps do not.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreJob } from '../risk.mjs';
+
+const DETAILS = 'asks for SSN, bank or card details up front';
+const CHAT = 'contact only through Telegram, WhatsApp or similar';
+
+const reasons = (description, title = 'Remote Assistant') =>
+  scoreJob({ title, company: 'Acme', description, source_url: 'https://jobs.example/1' }).risk_reasons;
+
+test('asking for bank, card or SSN details is flagged', () => {
+  for (const text of [
+    'You will need to provide your bank account number and SSN before your first shift.',
+    'Send us your social security number and we will set up payroll.',
+    'Pay the $49 starter fee by credit card to reserve your spot.',
+    'Before training you must pay for the equipment using a debit card.',
+  ]) {
+    assert.ok(reasons(text).includes(DETAILS), text);
+  }
+});
+
+test('listings that only mention payments are not flagged', () => {
+  for (const text of [
+    'MariaDB is making a big impact on the world. Whether you are checking your bank account or buying a coffee, a database is involved.',
+    'Experience with credit card processing, chargebacks and bank account reconciliation.',
+    'Help customers pay by credit card and update their billing details.',
+    'Build the onboarding flow for opening a bank account in our app.',
+  ]) {
+    assert.ok(!reasons(text).includes(DETAILS), text);
+  }
+});
+
+test('being told to talk only over a chat app is flagged', () => {
+  for (const text of [
+    'Hired immediately. Message our hiring manager on Telegram to start.',
+    'Limited spots: send your CV on WhatsApp today.',
+    'Please contact us on Telegram for the next steps.',
+    'Interviews are held via Signal. Telegram: @hr_jane',
+  ]) {
+    assert.ok(reasons(text).includes(CHAT), text);
+  }
+});
+
+test('listings that only mention chat apps are not flagged', () => {
+  for (const [title, text] of [
+    ['Bot Developer', 'Build and maintain bots for Telegram, Slack and Discord.'],
+    ['Community Manager', 'Grow our Telegram community and moderate the Signal group.'],
+    ['Support Specialist', 'Chat with customers on WhatsApp Business and email.'],
+    ['Backend Engineer', 'Experience with the WhatsApp Cloud API is a plus.'],
+  ]) {
+    assert.ok(!reasons(text, title).includes(CHAT), text);
+  }
+});
+
+test('only titles with capitals and no lower case count as shouting', () => {
+  const SHOUTY = 'shouty or sloppy copy (ALL CAPS, "!!!")';
+  assert.ok(reasons('Flexible hours.', 'EARN FROM HOME TODAY').includes(SHOUTY));
+  for (const title of ['远程客户支持专员（全职）', 'مطور برمجيات عن بعد', '2026-0042-117', 'Remote Support Agent']) {
+    assert.ok(!reasons('Flexible hours.', title).includes(SHOUTY), title);
+  }
+});
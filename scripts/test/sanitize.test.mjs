@@ -0,0 +1,88 @@
+// The malicious items in scripts/fixtures (remotive.json 2011003 and 2011004,
+// the Lumen item in weworkremotely.xml) run through the fetcher's toJob()
+// and the site's sanitizer.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { getAdapter } from '../adapters/index.mjs';
+import { toJob } from '../pipeline.mjs';
+import { SOURCES, fixturePath } from '../sources.mjs';
+import { cleanText, linkAttrs, safeUrl, sanitizeJob } from '../../site/src/lib/sanitize.js';
+
+const FIXTURES = new URL('../fixtures/', import.meta.url).pathname;
+
+async function items(id) {
+  const src = SOURCES.find((s) => s.id === id);
+  const body = await readFile(fixturePath(FIXTURES, src), 'utf8');
+  return { src, items: getAdapter(src.type).parse(body, src) };
+}
+
+async function jobs(id) {
+  const { src, items: parsed } = await items(id);
+  return parsed.map((item) => toJob(item, src.name)).filter(Boolean);
+}
+
+test('markup in titles, companies and descriptions is stripped', async () => {
+  const job = (await jobs('remotive')).find((j) => j.source_url.includes('2011003'));
+  assert.ok(job, 'the escaped-markup listing is kept');
+  for (const field of ['title', 'company', 'excerpt', 'location']) {
+    assert.doesNotMatch(job[field], /<[a-z!/]/i, `${field} has no tags`);
+  }
+  assert.equal(job.title, 'Data Entry Assistant');
+  assert.doesNotMatch(job.excerpt, /javascript:/);
+});
+
+test('invisible and bidi control characters are removed', async () => {
+  const job = (await jobs('remotive')).find((j) => j.source_url.includes('2011003'));
+  assert.doesNotMatch(job.location, /[\u200b-\u200f\u202a-\u202e]/);
+});
+
+test('tracking parameters are removed from listing URLs', async () => {
+  const job = (await jobs('remotive')).find((j) => j.source_url.includes('2011003'));
+  assert.equal(job.source_url, 'https://remotive.com/remote-jobs/data/data-entry-assistant-2011003');
+});
+
+test('javascript: and data: listings are dropped', async () => {
+  const remotive = await jobs('remotive');
+  assert.ok(!remotive.some((j) => j.title === 'Virtual Assistant (Calendar and Inbox)'));
+  const wwr = await jobs('weworkremotely');
+  assert.ok(!wwr.some((j) => /Content Writer/.test(j.title)));
+  for (const job of [...remotive, ...wwr]) assert.match(job.source_url, /^https?:\/\//);
+});
+
+test('safeUrl keeps only http(s) URLs without credentials', () => {
+  assert.equal(safeUrl('javascript:alert(1)'), null);
+  assert.equal(safeUrl('data:text/html,hi'), null);
+  assert.equal(safeUrl('https://user:pw@example.com/'), null);
+  assert.equal(safeUrl('/relative/path'), null);
+  assert.equal(safeUrl(' https://example.com/jobs/1?utm_source=x&id=2&ref=feed '), 'https://example.com/jobs/1?id=2');
+});
+
+test('sanitizeJob cleans an old snapshot record and its other sources', () => {
+  const job = sanitizeJob({
+    title: 'Support <b>Agent</b>\u202e',
+    source: 'Remote OK',
+    source_url: 'https://remoteok.com/jobs/1?gclid=abc',
+    tags: ['remote', '<i>x</i>'],
+    sources: [
+      { source: 'Remote OK', url: 'https://remoteok.com/jobs/1' },
+      { source: 'Elsewhere', url: 'javascript:void(0)' }
+    ]
+  });
+  assert.equal(job.title, 'Support Agent');
+  assert.equal(job.source_url, 'https://remoteok.com/jobs/1');
+  assert.deepEqual(job.tags, ['remote', 'x']);
+  assert.deepEqual(job.sources.map((s) => s.source), ['Remote OK']);
+  assert.equal(sanitizeJob({ title: 'x', source_url: 'data:,x' }), null);
+});
+
+test('cleanText leaves no "<" that could open a tag', () => {
+  assert.equal(cleanText('a <script>b</script> c'), 'a b c');
+  assert.doesNotMatch(cleanText('1 <b 2'), /<b/);
+  assert.equal(cleanText('3 < 4'), '3 < 4');
+});
+
+test('linkAttrs renders unsafe links inert', () => {
+  assert.equal(linkAttrs('javascript:alert(1)'), 'rel="nofollow"');
+  assert.match(linkAttrs('https://example.com/?a=1&b="2"'), /^href="https:\/\/example\.com\/\?a=1&amp;b=%222%22" target="_blank" rel="noopener noreferrer nofollow"$/);
+});
@@ -0,0 +1,60 @@
+// Stemming and search over the board's index (site/src/lib/search.js),
+// which the fetcher builds and the browser queries.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIndex, createSearcher, highlight, stem, tokenize } from '../../site/src/lib/search.js';
+
+test('verb forms stem the same as their base form', () => {
+  for (const group of [
+    ['write', 'writes', 'writing'],
+    ['code', 'codes', 'coding', 'coded'],
+    ['manage', 'manages', 'managing', 'managed'],
+    ['hire', 'hiring', 'hired'],
+    ['plan', 'plans', 'planning', 'planned'],
+    ['test', 'tests', 'testing', 'tested'],
+  ]) {
+    assert.deepEqual(group.map(stem), group.map(() => stem(group[0])), group.join(' / '));
+  }
+});
+
+test('plurals fold, and words that only look inflected are kept', () => {
+  assert.equal(stem('developers'), stem('developer'));
+  assert.equal(stem('companies'), stem('company'));
+  assert.equal(stem('services'), stem('service'));
+  assert.equal(stem('engineer'), 'engineer');
+  assert.equal(stem('business'), 'business');
+  assert.equal(stem('analysis'), 'analysis');
+  assert.equal(stem('use'), 'use');
+  assert.equal(stem('web3'), 'web3');
+});
+
+test('a search for "writing" finds a writer job described with "write"', () => {
+  const jobs = [
+    { id: 'a', title: 'Content Writer', excerpt: 'Write clear help articles for our customers.' },
+    { id: 'b', title: 'Support Agent', excerpt: 'Answer tickets by email and chat.' },
+  ];
+  const { search } = createSearcher(jobs, buildIndex(jobs));
+  assert.deepEqual(search('writing help').results.map((r) => r.job.id), ['a']);
+  assert.deepEqual(search('"write clear"').results.map((r) => r.job.id), ['a']);
+});
+
+test('an index built with an older stemmer is rebuilt rather than trusted', () => {
+  const jobs = [{ id: 'a', title: 'Copywriter', excerpt: 'Writing product pages.' }];
+  const stale = { ...buildIndex(jobs), version: 1, terms: { writing: [0, 10] } };
+  const { search } = createSearcher(jobs, stale);
+  assert.deepEqual(search('write').results.map((r) => r.job.id), ['a']);
+});
+
+test('an index from a different set of jobs is rebuilt', () => {
+  const old = [{ id: 'a', title: 'Copywriter', excerpt: 'Product pages.' }];
+  const jobs = [...old, { id: 'b', title: 'Support Agent', excerpt: 'Answer tickets.' }];
+  const { search } = createSearcher(jobs, buildIndex(old));
+  assert.deepEqual(search('support').results.map((r) => r.job.id), ['b']);
+});
+
+test('highlights land on the original text when folding changes its length', () => {
+  const terms = tokenize('cafe finance');
+  // A decomposed accent folds away; the "fi" ligature folds to two letters.
+  assert.equal(highlight('Cafe\u0301 team, \ufb01nance lead', terms), '<mark>Cafe\u0301</mark> team, <mark>\ufb01nance</mark> lead');
+  assert.equal(highlight('\ufb01le clerk, caf\u00e9 finance', terms), '\ufb01le clerk, <mark>caf\u00e9</mark> <mark>finance</mark>');
+});
@@ -0,0 +1,24 @@
+// Wall-clock times in other zones (site/src/lib/timezones.js), around the
+// DST changes where a local time is skipped or happens twice.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTime } from '../../site/src/lib/timezones.js';
+
+const at = (zone, day, time) => zonedTime(zone, day, time).toISOString();
+
+test('ordinary times either side of a DST change', () => {
+  assert.equal(at('Europe/Prague', '2026-03-28', '09:00'), '2026-03-28T08:00:00.000Z');
+  assert.equal(at('Europe/Prague', '2026-03-29', '09:00'), '2026-03-29T07:00:00.000Z');
+  assert.equal(at('Asia/Kolkata', '2026-03-29', '09:00'), '2026-03-29T03:30:00.000Z');
+});
+
+test('a time skipped when the clocks go forward resolves an hour late', () => {
+  // 02:30 does not exist on these nights; 03:30 local does.
+  assert.equal(at('Europe/Prague', '2026-03-29', '02:30'), '2026-03-29T01:30:00.000Z');
+  assert.equal(at('America/New_York', '2026-03-08', '02:30'), '2026-03-08T07:30:00.000Z');
+});
+
+test('a time that happens twice when the clocks go back takes the first', () => {
+  assert.equal(at('Europe/Prague', '2026-10-25', '02:30'), '2026-10-25T00:30:00.000Z');
+  assert.equal(at('America/New_York', '2026-11-01', '01:30'), '2026-11-01T05:30:00.000Z');
+});
@@ -0,0 +1,64 @@
+// CSV import into the application tracker (site/src/lib/tracker.js), run
+// against a small in-memory stand-in for IndexedDB.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromCsv, importApplications, listApplications } from '../../site/src/lib/tracker.js';
+
+// Just enough of IndexedDB for one object store: requests resolve on the
+// next tick, and a transaction completes right after them.
+const records = new Map();
+const store = {
+  getAll: () => ({ result: [...records.values()].map((r) => structuredClone(r)) }),
+  put: (record) => (records.set(record.id, structuredClone(record)), { result: record.id }),
+  delete: (id) => (records.delete(id), { result: undefined }),
+  createIndex: () => {},
+};
+const db = {
+  createObjectStore: () => store,
+  transaction: () => {
+    const tx = { objectStore: () => store };
+    setTimeout(() => tx.oncomplete());
+    return tx;
+  },
+};
+globalThis.indexedDB = {
+  open: () => {
+    const req = {};
+    setTimeout(() => { req.result = db; req.onupgradeneeded(); req.onsuccess(); });
+    return req;
+  },
+};
+
+const byUrl = async () => Object.fromEntries((await listApplications()).map((app) => [app.url, app]));
+
+test('a blank or missing Status is left unset, not defaulted', () => {
+  const [blank] = fromCsv('Title,Company,URL,Status\nWriter,Acme,https://a.example/1,\n');
+  assert.equal(blank.status, undefined);
+  const [missing] = fromCsv('Title,Company,URL,Applied\nWriter,Acme,https://a.example/1,2026-05-01\n');
+  assert.equal(missing.status, undefined);
+});
+
+test('re-importing a CSV without a Status column keeps tracked statuses', async () => {
+  records.clear();
+  await importApplications(fromCsv(
+    'Title,Company,URL,Status,Applied\n' +
+    'Writer,Acme,https://a.example/1,Interview,2026-05-01\n' +
+    'Editor,Beta,https://b.example/2,Offer,2026-05-02\n'
+  ));
+  await importApplications(fromCsv(
+    'Title,Company,URL,Notes\n' +
+    'Writer,Acme,https://a.example/1,Second round on Friday\n' +
+    'Designer,Gamma,https://c.example/3,\n'
+  ));
+  const apps = await byUrl();
+  assert.equal(apps['https://a.example/1'].status, 'interview');
+  assert.equal(apps['https://a.example/1'].notes, 'Second round on Friday');
+  assert.equal(apps['https://b.example/2'].status, 'offer');
+  assert.equal(apps['https://c.example/3'].status, 'saved');
+});
+
+test('new applications with an applied date default to applied', async () => {
+  records.clear();
+  await importApplications(fromCsv('Title,Company,URL,Applied\nWriter,Acme,https://a.example/1,2026-05-01\n'));
+  assert.equal((await byUrl())['https://a.example/1'].status, 'applied');
+});
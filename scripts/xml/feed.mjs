@@ -0,0 +1,88 @@
+// Feed documents as lists of item nodes.
+//
+// Only item-level elements (<item> for RSS 0.9x/1.0/2.0, <entry> for Atom)
+// are kept in memory, each as a small tree; channel metadata and anything
+// else is discarded as it streams past.
+import { createXmlParser } from './parser.mjs';
+
+/**
+ * @typedef {object} XmlNode
+ * @property {string} name     qualified name as written (`dc:creator`)
+ * @property {string} local    local name (`creator`)
+ * @property {string} uri      resolved namespace URI, '' if none
+ * @property {Record<string, string>} attrs
+ * @property {XmlNode[]} children
+ * @property {string} text     decoded text content, descendants included
+ */
+
+/**
+ * Streams `xml` and returns every element whose local name is in
+ * `itemNames` and that is not nested in another such element.
+ * @param {string | Iterable<string>} xml  whole document or chunks
+ * @param {string[]} itemNames
+ * @returns {XmlNode[]}
+ */
+export function parseItems(xml, itemNames) {
+  const items = [];
+  const open = [];
+
+  const parser = createXmlParser({
+    onOpen(el) {
+      if (!open.length && !itemNames.includes(el.local)) return;
+      const node = { ...el, children: [], text: '' };
+      if (open.length) open[open.length - 1].children.push(node);
+      open.push(node);
+    },
+    onText(text) {
+      for (const node of open) node.text += text;
+    },
+    onClose() {
+      if (!open.length) return;
+      const node = open.pop();
+      node.text = node.text.trim();
+      if (!open.length) items.push(node);
+    },
+  });
+
+  for (const chunk of typeof xml === 'string' ? [xml] : xml) parser.write(chunk);
+  parser.end();
+  return items;
+}
+
+/**
+ * Resolves a selector against a node. Selectors are a qualified child name
+ * (`dc:creator`), a slash path (`author/name`), optionally ending in
+ * `@attr` to read an attribute instead of text (`enclosure@url`).
+ *
+ * Matching is on the name as written, prefix included, not on namespace
+ * URIs: `dc:creator` finds `<dc:creator>` but not the same element under
+ * another prefix, and `title` does not find `<atom:title>`. Feeds use the
+ * conventional prefixes; where one doesn't, its source map can name the
+ * element as that feed writes it.
+ * @returns {string[]} every non-empty match, in document order
+ */
+export function select(node, selector) {
+  const [path, attr] = selector.split('@');
+  let nodes = [node];
+  for (const step of path.split('/').filter(Boolean)) {
+    nodes = nodes.flatMap((n) => n.children.filter((c) => c.name === step));
+  }
+  return nodes
+    .map((n) => (attr ? n.attrs[attr] || '' : n.text))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+// First match of the first selector that matches anything.
+export function pickField(node, mapping) {
+  for (const selector of [].concat(mapping || [])) {
+    const [value] = select(node, selector);
+    if (value) return value;
+  }
+  return '';
+}
+
+// All matches of every selector, de-duplicated.
+export function pickFieldAll(node, mapping) {
+  return [...new Set([].concat(mapping || []).flatMap((selector) => select(node, selector)))];
+}
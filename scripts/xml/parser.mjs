@@ -0,0 +1,171 @@
+// Streaming XML tokenizer for feeds.
+//
+// Feed text can be written in chunks of any size; events fire as soon as a
+// complete token is available. It is namespace-aware (xmlns / xmlns:prefix
+// are resolved per element) but deliberately forgiving: unknown entities
+// are kept as-is, mismatched close tags unwind to the nearest matching
+// open element, and DOCTYPE / comments / processing instructions are
+// skipped.
+import { decodeEntities } from './entities.mjs';
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+function splitName(name) {
+  const i = name.indexOf(':');
+  return i === -1 ? ['', name] : [name.slice(0, i), name.slice(i + 1)];
+}
+
+// Index of the `>` ending the markup that starts at `from`, skipping any
+// `>` inside quoted attribute values. -1 when the buffer ends first.
+function endOfTag(buf, from) {
+  let quote = '';
+  for (let i = from; i < buf.length; i++) {
+    const c = buf[i];
+    if (quote) {
+      if (c === quote) quote = '';
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  const re = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let m;
+  while ((m = re.exec(source))) {
+    attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * @param {object} handlers
+ * @param {(el: object) => void} [handlers.onOpen]  el: { name, prefix, local, uri, attrs }
+ * @param {(text: string) => void} [handlers.onText]
+ * @param {(el: object) => void} [handlers.onClose]
+ * @returns {{ write(chunk: string): void, end(): void }}
+ */
+export function createXmlParser({ onOpen = () => {}, onText = () => {}, onClose = () => {} } = {}) {
+  let buf = '';
+  const stack = [];
+  const scopes = [{ xml: XML_NS }];
+
+  function resolveNs(prefix, scope) {
+    return scope[prefix] ?? (prefix ? '' : scope[''] ?? '');
+  }
+
+  function open(source) {
+    const selfClosing = source.endsWith('/');
+    const body = selfClosing ? source.slice(0, -1) : source;
+    const name = (body.match(/^[^\s/]+/) || [''])[0];
+    if (!name) return;
+    const attrs = parseAttrs(body.slice(name.length));
+
+    const scope = Object.create(scopes[scopes.length - 1]);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key === 'xmlns') scope[''] = value;
+      else if (key.startsWith('xmlns:')) scope[key.slice(6)] = value;
+    }
+
+    const [prefix, local] = splitName(name);
+    const el = { name, prefix, local, uri: resolveNs(prefix, scope), attrs };
+    onOpen(el);
+    if (selfClosing) {
+      onClose(el);
+    } else {
+      stack.push(el);
+      scopes.push(scope);
+    }
+  }
+
+  function close(name) {
+    const at = stack.map((el) => el.name).lastIndexOf(name);
+    if (at === -1) return;
+    while (stack.length > at) {
+      scopes.pop();
+      onClose(stack.pop());
+    }
+  }
+
+  function drain(final) {
+    let pos = 0;
+    while (pos < buf.length) {
+      if (buf[pos] !== '<') {
+        const next = buf.indexOf('<', pos);
+        // Hold back a trailing text run: the next chunk may continue it or
+        // finish an entity reference.
+        if (next === -1 && !final) break;
+        const end = next === -1 ? buf.length : next;
+        onText(decodeEntities(buf.slice(pos, end)));
+        pos = end;
+        continue;
+      }
+
+      if (pos + 1 >= buf.length && !final) break;
+      if (!/[A-Za-z_:/!?]/.test(buf[pos + 1] || '')) {
+        // A bare `<` in text (`salary < 50k`), not markup.
+        onText('<');
+        pos += 1;
+        continue;
+      }
+
+      let end;
+      if (buf.startsWith('<!--', pos)) {
+        end = buf.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buf.startsWith('<![CDATA[', pos)) {
+        end = buf.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        onText(buf.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buf.startsWith('<?', pos)) {
+        end = buf.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buf.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset in brackets.
+        const bracket = buf.indexOf('[', pos);
+        const gt = buf.indexOf('>', pos);
+        if (gt === -1) break;
+        if (bracket !== -1 && bracket < gt) {
+          end = buf.indexOf(']>', bracket);
+          if (end === -1) break;
+          pos = end + 2;
+        } else {
+          pos = gt + 1;
+        }
+      } else if (buf[pos + 1] === '/') {
+        end = buf.indexOf('>', pos);
+        if (end === -1) break;
+        close(buf.slice(pos + 2, end).trim());
+        pos = end + 1;
+      } else {
+        end = endOfTag(buf, pos + 1);
+        if (end === -1) break;
+        open(buf.slice(pos + 1, end).trim());
+        pos = end + 1;
+      }
+    }
+    buf = buf.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      buf += chunk;
+      drain(false);
+    },
+    end() {
+      drain(true);
+      buf = '';
+      while (stack.length) {
+        scopes.pop();
+        onClose(stack.pop());
+      }
+    },
+  };
+}
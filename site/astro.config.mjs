@@ -1,6 +1,8 @@
 import { defineConfig } from 'astro/config';
 
 export default defineConfig({
+  // Absolute URLs in feeds and canonical links.
+  site: 'https://remotelyyou.com',
   typescript: false,
   vite: {
     esbuild: {
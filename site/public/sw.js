@@ -0,0 +1,120 @@
+// Service worker: keeps the job board and the resource kits readable offline.
+//
+// Pages and job data are network-first, so anyone online always gets the
+// latest; the cached copy only answers when the network fails. Build assets
+// under /_astro/ are content-hashed and served cache-first.
+//
+// Bump VERSION when the precache list or the strategies change; the old
+// cache is dropped on activate.
+
+const VERSION = 'v1';
+const CACHE = `remotelyyou-${VERSION}`;
+
+// Precached on install. The assets these pages load are found by scanning
+// their HTML, since their hashed names change with every build.
+const PAGES = [
+  '/jobs',
+  '/resources/interview-kit',
+  '/resources/cover-letter-generator',
+  '/resources/timezone-availability',
+  '/offline'
+];
+const DATA = ['/jobs.json', '/jobs-search.json'];
+
+const ASSET_PATTERN = /["'(](\/_astro\/[^"'()\s]+)/g;
+// Chunks a bundled script imports, e.g. import{a as b}from"./job-board.CdT3.js".
+const IMPORT_PATTERN = /(?:from|import)\s*["']\.\/([^"']+\.js)["']/g;
+
+// Caches the assets a page references, following script imports so a
+// page's shared chunks are there offline too.
+async function cacheAssets(cache, html) {
+  const queue = [...html.matchAll(ASSET_PATTERN)].map((m) => m[1]);
+  const seen = new Set();
+  while (queue.length) {
+    const url = queue.shift();
+    if (seen.has(url)) continue;
+    seen.add(url);
+    try {
+      const res = await fetch(url);
+      if (!res.ok) continue;
+      if (url.endsWith('.js')) {
+        const code = await res.clone().text();
+        for (const m of code.matchAll(IMPORT_PATTERN)) queue.push('/_astro/' + m[1]);
+      }
+      await cache.put(url, res);
+    } catch {}
+  }
+}
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await Promise.all(DATA.map((url) => cache.add(url).catch(() => {})));
+  for (const page of PAGES) {
+    try {
+      const res = await fetch(page, { cache: 'no-cache' });
+      if (!res.ok) continue;
+      const html = await res.clone().text();
+      await cache.put(page, res);
+      await cacheAssets(cache, html);
+    } catch {
+      // Installing offline: whatever was cached is still useful.
+    }
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((key) => key.startsWith('remotelyyou-') && key !== CACHE).map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// "/jobs/" and "/jobs?level=entry" are the same page offline.
+function cacheKey(url) {
+  const path = url.pathname.length > 1 ? url.pathname.replace(/\/$/, '') : url.pathname;
+  return path.replace(/\/index\.html$/, '') || '/';
+}
+
+async function networkFirst(request, key) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    if (request.mode === 'navigate') {
+      const offline = await cache.match('/offline');
+      if (offline) return offline;
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Fonts, analytics and the newsletter embed are left to the browser.
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/_astro/')) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate' || DATA.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, cacheKey(url)));
+  }
+});
@@ -0,0 +1,243 @@
+// Cover letter templates and the fill-in logic behind the generator on
+// /resources/cover-letter-generator.
+//
+// Template bodies are plain text: blank lines split paragraphs, "- " starts
+// a list item and <placeholder> marks a blank for the user to fill in.
+
+export const TEMPLATES = [
+  {
+    id: 'career-change',
+    title: 'career change pivot',
+    use: 'from previous field → remote role',
+    body: `hello <hiring_manager_name>,
+
+i'm transitioning from <previous field> to <target role>. at <prev company>, i built <transferable skill> by <action>, improving <metric>%.
+
+last <timeframe>, i created <mini-project> in <tool> to mirror your work on <team/product> (link: <portfolio_link>).
+
+why <company>: <company-specific hook>. i'd bring <strength> to <team> and learn <tools from jd> fast.
+
+resume attached. i can start <start date> with <time-zone overlap>.
+
+thanks,
+<your_name>`,
+    example: "hello jordan, i'm moving from hospitality into customer support. at marriott, i handled 50+ guest issues daily, maintaining 4.8/5 satisfaction scores. last month, i created a support article template (link) to show how i'd approach your help center. why zendesk: your focus on customer experience matches my service background..."
+  },
+  {
+    id: 'first-role',
+    title: 'first remote role',
+    use: 'no experience, show potential',
+    body: `hello <name>,
+
+i'm applying for <role>. i'm early in my career, so i built <mini-project> to show how i'd handle <task from jd> (link: <portfolio_link>).
+
+i use <tools> and write short, clear updates. ready to learn fast and follow your process.
+
+available <start date> with <overlap>.
+
+<your_name>`,
+    example: "hello sarah, i'm applying for virtual assistant. i'm new to remote work, so i built a task tracking system (link) to show how i'd organize your project pipeline. i use notion and slack daily. available march 15th with 4h est overlap."
+  },
+  {
+    id: 'skill-sprint',
+    title: 'skill sprint showcase',
+    use: '30-60 day focused learning',
+    body: `hello <name>,
+
+for the last <30/45/60> days i ran a <role> sprint:
+- <practice> daily
+- built <artifact> in <tool> → <result>
+- progress log: <link>
+
+your role matches that sprint: <tie to jd>. i can contribute in week 1.
+
+start <date> • <overlap>.
+
+<your_name>`,
+    example: 'for the last 45 days i ran a customer support sprint: zendesk training daily, built help articles in notion → 95% user satisfaction in testing, progress log (link). your support role matches perfectly...'
+  },
+  {
+    id: 'timezone',
+    title: 'timezone flexibility',
+    use: 'global team coverage',
+    body: `hello <name>,
+
+i'm in <city, tz> and can guarantee <x–y> hours overlap with <team tz>. during launches i can extend to <window>.
+
+proof: <artifact> (link). tools: <tools>. i keep an eod hand-off so nothing stalls.
+
+start <date>.
+
+<your_name>`,
+    example: "i'm in prague (cet) and can guarantee 4-5 hours overlap with pst. during launches i extend to 23:00 cet. proof: project timeline (link). tools: slack, notion, zoom. i post eod summaries so work continues overnight."
+  },
+  {
+    id: 'part-time',
+    title: 'part-time → full-time',
+    use: 'gradual ramp-up approach',
+    body: `hello <name>,
+
+i'm interested in <role> and can start <hours/week> now, ramping to full-time by <date>. this lets us prove fit quickly.
+
+to show how i'd work, i built <mini-project> (link). i'll share a 5-line weekly status each friday.
+
+open to a short paid trial?
+
+<your_name>`,
+    example: 'i can start 20h/week now, ramping to full-time by june. built customer support workflow (link) to show my approach. weekly status updates every friday. open to 2-week paid trial?'
+  },
+  {
+    id: 'proof-led',
+    title: 'proof-led approach',
+    use: 'made something for them',
+    body: `hello <name>,
+
+i made <artifact> for <company>: <title> (1 page). link: <portfolio_link>. it shows how i'd handle <task> using <tool>.
+
+if helpful, i can expand this into <next step> this week.
+
+start <date> • <overlap>.
+
+<your_name>`,
+    example: "i made a content calendar for buffer: 'social media planning template' (1 page). link shows how i'd handle your instagram strategy using hootsuite. if helpful, i can expand this into a full 30-day plan this week."
+  },
+  {
+    id: 'customer-support',
+    title: 'customer support specialist',
+    use: 'tone + tools focused',
+    body: `hello <name>,
+
+i'm a calm, clear communicator applying for <role>. i handle high-volume inboxes with <tools> and use saved replies + tags to cut response time.
+
+sample work: <artifact link>. previously handled <volume>/week with <outcome>.
+
+start <date> • <overlap>.
+
+<your_name>`,
+    example: "i'm a calm communicator applying for support specialist. i handle high-volume inboxes with zendesk and use macros to cut response time 40%. sample work: help article (link). previously handled 100+ tickets/week with 4.9/5 satisfaction."
+  },
+  {
+    id: 'admin-ops',
+    title: 'admin / ops efficiency',
+    use: 'systems + clarity focused',
+    body: `hello <name>,
+
+i focus on clean data, simple rules, fast hand-offs. i set up <validation/automation> in <tool> so teams move faster.
+
+proof: <artifact link> (includes rules + a weekly status template).
+
+start <date> • <overlap>.
+
+<your_name>`,
+    example: 'i focus on clean data and fast handoffs. i set up validation rules in google sheets so teams catch errors early. proof: operations dashboard (link) with weekly status template that cut reporting time 60%.'
+  },
+  {
+    id: 'marketing',
+    title: 'marketing assistant',
+    use: 'repurpose + measure',
+    body: `hello <name>,
+
+i repurpose long posts into platform-native captions and track links with a simple utm table.
+
+sample deck (2 pages): <link> — 3 posts + utm plan for <blog post>.
+
+start <date> • <overlap>.
+
+<your_name>`,
+    example: 'i repurpose content into platform-native posts and track performance with utm codes. sample deck (2 pages): social media plan (link) — 3 linkedin posts + utm tracking for your remote work guide.'
+  },
+  {
+    id: 'referral',
+    title: 'warm referral',
+    use: 'someone connected you',
+    body: `subject: referred by <referrer> — <your name> for <role>
+
+hi <name>,
+
+<referrer> suggested i share my <artifact> (link) for <role>. i've been focusing on <capability> with <tool>.
+
+can we book a short intro call? available <overlap> from <date>.
+
+<your_name>`,
+    example: "subject: referred by mike chen — alex for customer support. hi sarah, mike suggested i share my help center article (link) for your support role. i've been focusing on zendesk workflows. can we book a 15-minute call? available 9-5 est from monday."
+  }
+];
+
+// Sentences the availability builder combines; the user picks which ones.
+export const AVAILABILITY_PARTS = [
+  { id: 'location', label: 'location + timezone', text: "i'm based in <city, timezone>." },
+  { id: 'overlap', label: 'guaranteed overlap', text: 'i can guarantee <x-y> hours overlap with <team tz> on weekdays.' },
+  { id: 'flexibility', label: 'launch flexibility', text: 'for launches or incidents i can extend to <extended window>.' },
+  { id: 'handoff', label: 'communication style', text: 'i post a written hand-off at the end of each day so work continues.' },
+  { id: 'start', label: 'start date', text: 'i can start <specific date>.' }
+];
+
+// Templates were written at different times and name the same blank in
+// different ways; these share one form field (and one saved value).
+const ALIASES = {
+  hiring_manager_name: 'name',
+  'target role': 'role',
+  'start date': 'date',
+  'specific date': 'date',
+  'time-zone overlap': 'overlap',
+  'your name': 'your_name',
+  tool: 'tools',
+  'tools from jd': 'tools',
+  portfolio_link: 'link',
+  'artifact link': 'link',
+  'city, tz': 'city, timezone',
+  'x–y': 'x-y',
+  window: 'extended window'
+};
+
+const PLACEHOLDER = /<([^<>\n]+)>/g;
+
+/** Form field key for a placeholder name. */
+export function fieldKey(name) {
+  const key = name.trim().toLowerCase();
+  return ALIASES[key] || key;
+}
+
+/** Distinct field keys in a template body, in order of first use. */
+export function placeholders(body) {
+  return [...new Set([...body.matchAll(PLACEHOLDER)].map((m) => fieldKey(m[1])))];
+}
+
+/**
+ * Splits a body into text and blank segments:
+ * [{ text } | { key, name, value }], with value '' when not filled in.
+ */
+export function segments(body, values) {
+  const out = [];
+  let last = 0;
+  for (const m of body.matchAll(PLACEHOLDER)) {
+    if (m.index > last) out.push({ text: body.slice(last, m.index) });
+    const key = fieldKey(m[1]);
+    out.push({ key, name: m[1], value: (values[key] || '').trim() });
+    last = m.index + m[0].length;
+  }
+  if (last < body.length) out.push({ text: body.slice(last) });
+  return out;
+}
+
+/** The letter as plain text; unfilled blanks stay as <placeholder>. */
+export function fillTemplate(body, values) {
+  return segments(body, values).map((s) => ('text' in s ? s.text : s.value || `<${s.name}>`)).join('');
+}
+
+export function availabilityBody(partIds) {
+  return AVAILABILITY_PARTS.filter((p) => partIds.includes(p.id)).map((p) => p.text).join(' ');
+}
+
+/**
+ * Field values for a job from /jobs, as passed in the generator's URL:
+ * ?role=<title>&company=<company>&skills=<comma-separated skill ids>.
+ */
+export function prefillFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  if (params.get('role')) values.role = params.get('role');
+  if (params.get('company')) values.company = params.get('company');
+  if (params.get('skills')) values.tools = params.get('skills').split(',').map((s) => s.trim()).filter(Boolean).join(', ');
+  return values;
+}
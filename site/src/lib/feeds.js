@@ -0,0 +1,147 @@
+// Job feeds built from jobs.json at build time: RSS 2.0, Atom and JSON
+// Feed, for the whole board and for each category and seniority bucket.
+// The endpoints under src/pages/feeds render whatever feedList() returns.
+
+import { boardUrl, jobBuckets, jobPath, SENIORITY_SLUGS } from './job-pages.js';
+import { escapeHtml } from './search.js';
+import { safeUrl } from './sanitize.js';
+
+// Newest listings per feed; readers only look at what's new anyway.
+const MAX_ITEMS = 100;
+
+/**
+ * Every feed the build publishes: { slug, title, description, home, jobs },
+ * one for the whole board and one per bucket from jobBuckets(). Empty
+ * buckets are still listed so subscribed URLs never 404.
+ */
+export function feedList(jobs, taxonomy) {
+  const all = jobBuckets(jobs, taxonomy).map((b) => ({
+    slug: b.slug,
+    title: `remotelyyou: ${b.label} jobs`,
+    description: `remote ${b.label} jobs from the remotelyyou board`,
+    home: boardUrl(b),
+    jobs: b.jobs.slice(0, MAX_ITEMS)
+  }));
+  const newest = [...jobs].sort((a, b) => new Date(b.first_seen || b.posted_at) - new Date(a.first_seen || a.posted_at));
+  return [
+    { slug: 'all', title: 'remotelyyou: all remote jobs', description: 'every listing on the remotelyyou job board', home: '/jobs', jobs: newest.slice(0, MAX_ITEMS) },
+    ...all
+  ];
+}
+
+/** Which feed matches a set of board filters, for the "follow" links on /jobs. */
+export function feedSlugFor(filters) {
+  if (filters.category) return filters.category;
+  if (filters.level === 'entry' || filters.level === 'junior') return SENIORITY_SLUGS[filters.level];
+  return 'all';
+}
+
+const hasCategory = (job) => job.category && job.category !== 'other';
+
+function itemTitle(job) {
+  return job.company ? `${job.title} at ${job.company}` : job.title;
+}
+
+// One line of facts under the excerpt: where, what kind, which field.
+function itemSummary(job) {
+  const facts = [job.location || 'remote', job.employment_type, hasCategory(job) && job.category]
+    .filter(Boolean)
+    .join(' • ');
+  return job.excerpt ? `${job.excerpt}\n${facts}` : facts;
+}
+
+function itemHtml(job) {
+  return itemSummary(job).split('\n').map((line) => `<p>${escapeHtml(line)}</p>`).join('');
+}
+
+const itemDate = (job) => new Date(job.first_seen || job.posted_at);
+const itemId = (job, site) => `${site}/jobs#${job.id || encodeURIComponent(job.source_url)}`;
+// Items link to the job's page on the site where it has one.
+const itemLink = (job, site) => (jobPath(job) ? site + jobPath(job) : safeUrl(job.source_url) || `${site}/jobs`);
+
+function feedUrls(feed, site) {
+  return {
+    home: site + feed.home,
+    rss: `${site}/feeds/${feed.slug}.xml`,
+    atom: `${site}/feeds/${feed.slug}.atom`,
+    json: `${site}/feeds/${feed.slug}.json`
+  };
+}
+
+const xml = (s) => escapeHtml(String(s ?? ''));
+
+export function toRss(feed, site, updatedAt) {
+  const urls = feedUrls(feed, site);
+  const items = feed.jobs.map((job) => `
+    <item>
+      <title>${xml(itemTitle(job))}</title>
+      <link>${xml(itemLink(job, site))}</link>
+      <guid isPermaLink="false">${xml(itemId(job, site))}</guid>
+      <pubDate>${itemDate(job).toUTCString()}</pubDate>${hasCategory(job) ? `
+      <category>${xml(job.category)}</category>` : ''}
+      <description>${xml(itemHtml(job))}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(urls.home)}</link>
+    <description>${xml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(updatedAt).toUTCString()}</lastBuildDate>
+    <atom:link href="${xml(urls.rss)}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+}
+
+export function toAtom(feed, site, updatedAt) {
+  const urls = feedUrls(feed, site);
+  const entries = feed.jobs.map((job) => `
+  <entry>
+    <title>${xml(itemTitle(job))}</title>
+    <link href="${xml(itemLink(job, site))}" />
+    <id>${xml(itemId(job, site))}</id>
+    <published>${itemDate(job).toISOString()}</published>
+    <updated>${new Date(job.last_seen || itemDate(job)).toISOString()}</updated>${job.company ? `
+    <author><name>${xml(job.company)}</name></author>` : ''}${hasCategory(job) ? `
+    <category term="${xml(job.category)}" />` : ''}
+    <summary type="html">${xml(itemHtml(job))}</summary>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <link href="${xml(urls.home)}" />
+  <link href="${xml(urls.atom)}" rel="self" type="application/atom+xml" />
+  <id>${xml(urls.atom)}</id>
+  <updated>${new Date(updatedAt).toISOString()}</updated>
+  <author><name>remotelyyou</name></author>${entries}
+</feed>
+`;
+}
+
+/** JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/). */
+export function toJsonFeed(feed, site) {
+  const urls = feedUrls(feed, site);
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: urls.home,
+    feed_url: urls.json,
+    language: 'en',
+    items: feed.jobs.map((job) => ({
+      id: itemId(job, site),
+      url: itemLink(job, site),
+      external_url: safeUrl(job.source_url) || undefined,
+      title: itemTitle(job),
+      content_text: itemSummary(job),
+      date_published: itemDate(job).toISOString(),
+      ...(job.company ? { authors: [{ name: job.company }] } : {}),
+      tags: [job.category, job.seniority, job.employment_type].filter((t) => t && t !== 'other')
+    }))
+  }, null, 2);
+}
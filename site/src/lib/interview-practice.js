@@ -0,0 +1,243 @@
+// Mock-interview practice for /resources/interview-kit: the kit's questions,
+// and the story bank the practice mode keeps in the user's browser.
+//
+// Practice state is { stage, seconds, answers }, where answers maps a
+// question id to its STAR fields and the times it was practiced. Nothing
+// here leaves the device; the export is built locally too.
+
+const STORAGE_KEY = 'interviewKit:practice';
+
+// Times kept per question; older practice sessions drop off.
+const MAX_SESSIONS = 20;
+
+// Interview rounds, as in the kit's "questions you should ask them".
+export const STAGES = [
+  { id: 'screening', label: 'screening/hr round' },
+  { id: 'team', label: 'team/manager round' },
+  { id: 'final', label: 'final/decision round' }
+];
+
+// The STAR worksheet's fields and prompts.
+export const STAR_FIELDS = [
+  { key: 'situation', guide: 'set the scene - where were you? what changed?' },
+  { key: 'task', guide: 'your specific responsibility - include constraints' },
+  { key: 'action', guide: '3-4 specific steps you took - use action verbs' },
+  { key: 'result', guide: 'measurable outcome - before vs after' }
+];
+
+// Answer timer choices, in seconds. Two minutes is a good default for a
+// spoken STAR answer.
+export const ANSWER_TIMES = [60, 90, 120, 180, 300];
+
+export const DEFAULT_PRACTICE = {
+  stage: '',
+  seconds: 120,
+  answers: {}
+};
+
+// The 15 remote interview questions. `framework` outlines the answer;
+// `hint` replaces it for the questions that call for a STAR story.
+export const QUESTIONS = [
+  {
+    id: 'workday',
+    stage: 'screening',
+    question: 'how do you structure your workday?',
+    framework: 'planning + focus blocks + communication',
+    answer: 'i plan in time blocks: 90-minute focus sessions followed by 15-minute communication checks. i start by reviewing priorities, tackle hardest work in morning focus block, then end with eod summary in notion.'
+  },
+  {
+    id: 'home-office',
+    stage: 'screening',
+    question: 'describe your home office setup',
+    framework: 'space + tech + professional environment',
+    answer: 'dedicated workspace in my bedroom with proper desk, external monitor, and noise-canceling headset. internet is 200/50 mbps with hotspot backup. space has neutral background and good lighting for video calls.'
+  },
+  {
+    id: 'time-zones',
+    stage: 'team',
+    question: 'how do you handle different time zones?',
+    framework: 'async-first + clear communication + flexibility',
+    answer: 'default to async communication with clear context. when scheduling meetings, i propose two time options with both timezones listed. for urgent issues, i\'m flexible extending my hours 2-3x per week.'
+  },
+  {
+    id: 'difficult-customer',
+    stage: 'team',
+    question: 'tell me about handling a difficult customer',
+    hint: 'use star method here',
+    answer: 'customer\'s order was delayed, they were frustrated in chat. i acknowledged their concern, pulled order details, found shipping issue, sent tracking update with screenshot, and followed up next day. they left 5-star review.'
+  },
+  {
+    id: 'prioritizing',
+    stage: 'team',
+    question: 'how do you prioritize when everything seems urgent?',
+    framework: 'impact/effort matrix + stakeholder communication',
+    answer: 'i use impact vs time matrix - handle blockers first, then deadlines, then quick wins. when conflicts arise, i communicate trade-offs to stakeholders and confirm priorities in writing.'
+  },
+  {
+    id: 'tools',
+    stage: 'screening',
+    question: 'what tools are you comfortable with?',
+    framework: 'current stack + learning approach + adaptability',
+    answer: 'daily use: slack, google workspace, notion, zoom. for support: zendesk experience, freshdesk familiar. i learn new tools through built-in tutorials and youtube, usually proficient within a week.'
+  },
+  {
+    id: 'bug-report',
+    stage: 'team',
+    question: 'describe a time you found and reported a bug',
+    hint: 'use star method - focus on systematic approach',
+    answer: 'noticed password reset failing for emails with \'+\'. reproduced with steps, documented environment details, attached screenshot, suggested regex fix. prevented 20+ weekly support tickets.'
+  },
+  {
+    id: 'templates',
+    stage: 'team',
+    question: 'how do you use templates without sounding robotic?',
+    framework: 'structure + personalization + genuine help',
+    answer: 'templates provide consistent structure, but i personalize opening/closing and add one specific detail about their situation. focus is solving their actual problem, not just filling template.'
+  },
+  {
+    id: 'metrics',
+    stage: 'team',
+    question: 'what metrics do you think matter for this role?',
+    framework: 'quality + efficiency + customer impact',
+    answer: 'first response time under 2 hours, resolution rate above 85%, customer satisfaction 4.5+. also track repeat tickets - shows if solutions are complete and helpful.'
+  },
+  {
+    id: 'minimal-direction',
+    stage: 'final',
+    question: 'how do you work with minimal direction?',
+    framework: 'clarify outcome + propose approach + check progress',
+    answer: 'i confirm the desired outcome and any guardrails, propose 3-step approach, get approval, then share progress updates at agreed intervals. better to over-communicate than assume.'
+  },
+  {
+    id: 'internet-down',
+    stage: 'screening',
+    question: 'what if your internet goes down?',
+    framework: 'backup plan + communication + offline tasks',
+    answer: 'hotspot backup for immediate needs, offline task list for longer outages. i\'d notify team immediately with estimated fix time and hand off urgent items via phone if needed.'
+  },
+  {
+    id: 'process-improvement',
+    stage: 'final',
+    question: 'describe a process improvement you made',
+    hint: 'use star method - focus on measurable impact',
+    answer: 'noticed weekly reports took 3 hours due to manual data entry. added google sheets formulas and conditional formatting. now takes 45 minutes, 75% time savings, fewer errors.'
+  },
+  {
+    id: 'dont-know',
+    stage: 'final',
+    question: 'when do you say \'i don\'t know\'?',
+    framework: 'acknowledge + offer what you can + timeline',
+    answer: 'immediately when i don\'t know something. i acknowledge it, share what i do know or can help with right now, and give timeline for when i\'ll have the answer.'
+  },
+  {
+    id: 'availability',
+    stage: 'screening',
+    question: 'what\'s your availability with our team?',
+    framework: 'location + overlap + flexibility + communication',
+    answer: 'based in denver (mst). guarantee 5-6 hours overlap with pst team, can extend to 9pm for launches. post detailed eod handoffs so work continues across timezones.'
+  },
+  {
+    id: 'why-remote',
+    stage: 'screening',
+    question: 'why do you want to work remotely?',
+    framework: 'professional benefits + personal fit + company value',
+    answer: 'prefer written communication for clarity, deep focus blocks for complex problems, outcome-based work over presence. remote structure makes productivity visible and lets me contribute to global teams.'
+  }
+];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * The saved practice state. Anything stored that isn't an object, answers
+ * included, falls back to the defaults rather than breaking answerFor().
+ */
+export function loadPractice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!isPlainObject(saved)) return { ...DEFAULT_PRACTICE, answers: {} };
+    return { ...DEFAULT_PRACTICE, ...saved, answers: isPlainObject(saved.answers) ? saved.answers : {} };
+  } catch {
+    return { ...DEFAULT_PRACTICE, answers: {} };
+  }
+}
+
+export function savePractice(practice) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(practice));
+  } catch {
+    // Private browsing or a full quota: answers last for this page only.
+  }
+  return practice;
+}
+
+/** The saved answer for a question, with every STAR field present. */
+export function answerFor(practice, id) {
+  const saved = practice.answers[id] || {};
+  return {
+    ...Object.fromEntries(STAR_FIELDS.map((f) => [f.key, ''])),
+    practiced: [],
+    ...saved
+  };
+}
+
+export function hasStory(answer) {
+  return STAR_FIELDS.some((f) => (answer[f.key] || '').trim());
+}
+
+/** Records a practice run of a question now (or at `when`). */
+export function markPracticed(practice, id, when = new Date()) {
+  const answer = answerFor(practice, id);
+  answer.practiced = [...answer.practiced, when.toISOString()].slice(-MAX_SESSIONS);
+  practice.answers = { ...practice.answers, [id]: answer };
+  return practice;
+}
+
+/** ISO time of the question's last practice run, or null. */
+export function lastPracticed(practice, id) {
+  const times = practice.answers[id]?.practiced || [];
+  return times.length ? times[times.length - 1] : null;
+}
+
+/**
+ * A random question from `stage` (all stages when empty), preferring the
+ * least practiced ones so a session works through the whole list. `current`
+ * is skipped unless it is the only choice.
+ */
+export function drawQuestion(practice, { stage = '', current = null, random = Math.random } = {}) {
+  let pool = QUESTIONS.filter((q) => !stage || q.stage === stage);
+  if (pool.length > 1) pool = pool.filter((q) => q.id !== current);
+  const runs = (q) => practice.answers[q.id]?.practiced?.length || 0;
+  const fewest = Math.min(...pool.map(runs));
+  const candidates = pool.filter((q) => runs(q) === fewest);
+  return candidates[Math.floor(random() * candidates.length)] || null;
+}
+
+/** "1:30" for 90 seconds; overtime reads "+0:12". */
+export function formatClock(seconds) {
+  const abs = Math.abs(Math.round(seconds));
+  const clock = `${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, '0')}`;
+  return seconds < 0 ? `+${clock}` : clock;
+}
+
+/** The story bank (every question with a STAR answer) as Markdown. */
+export function storyBankMarkdown(practice, date = new Date()) {
+  const lines = ['# interview story bank', '', `exported ${date.toISOString().slice(0, 10)}`];
+  for (const stage of STAGES) {
+    const stories = QUESTIONS
+      .filter((q) => q.stage === stage.id)
+      .map((q) => ({ q, answer: answerFor(practice, q.id) }))
+      .filter(({ answer }) => hasStory(answer));
+    if (!stories.length) continue;
+    lines.push('', `## ${stage.label}`);
+    for (const { q, answer } of stories) {
+      lines.push('', `### ${q.question}`, '');
+      for (const f of STAR_FIELDS) {
+        const text = answer[f.key].trim();
+        if (text) lines.push(`**${f.key}:** ${text.replace(/\s*\n\s*/g, ' ')}`, '');
+      }
+      const runs = answer.practiced.length;
+      if (runs) lines.push(`_practiced ${runs} time${runs === 1 ? '' : 's'}, last ${answer.practiced[runs - 1].slice(0, 10)}_`, '');
+    }
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
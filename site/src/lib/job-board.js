@@ -0,0 +1,434 @@
+// The job board in the browser. components/JobBoard.astro renders the
+// controls and the first page of cards at build time; mountJobBoard() then
+// loads the live jobs.json and takes over filtering, paging and the rest.
+//
+// Everything is looked up inside the board's root element through
+// data-board="..." hooks, so several boards can share a page. Parts a board
+// doesn't render (saved searches, pagination, ...) are simply skipped.
+
+import { createSearcher, escapeHtml } from './search.js';
+import { DEFAULT_FILTERS, FILTERS, filterJobs, filtersFromQuery, filtersToQuery, hasFilters, sameFilters } from './job-filters.js';
+import { trackJob, trackedUrls } from './tracker.js';
+import { addSavedSearch, countNewMatches, describeFilters, loadSavedSearches, markChecked, removeSavedSearch } from './saved-searches.js';
+import { PROFILE_EVENT, hasProfile, loadProfile, scoreJob } from './job-match.js';
+import { feedSlugFor } from './feeds.js';
+import { TRACKED_LINK, renderCard } from './job-cards.js';
+
+// The previous visit is pinned for the whole browser session so that
+// reloading the page doesn't clear the "new" markers.
+function visitBaseline() {
+  try {
+    let base = sessionStorage.getItem('jobs:visitBaseline');
+    if (base === null) {
+      base = localStorage.getItem('jobs:lastVisit') || '';
+      sessionStorage.setItem('jobs:visitBaseline', base);
+    }
+    localStorage.setItem('jobs:lastVisit', new Date().toISOString());
+    return base ? new Date(base) : null;
+  } catch {
+    return null;
+  }
+}
+
+const AGE_UNITS = [['day', 86400000], ['hour', 3600000], ['minute', 60000]];
+
+// "3 hours ago" for the data age line.
+function timeAgo(date, now = Date.now()) {
+  const ms = now - new Date(date).getTime();
+  for (const [unit, size] of AGE_UNITS) {
+    const n = Math.floor(ms / size);
+    if (n >= 1) return `${n} ${unit}${n === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+}
+
+// The fetcher runs every few hours; data older than this has missed runs.
+const STALE_AFTER = 24 * 3600000;
+
+/**
+ * Hydrates one server-rendered board. `root.dataset.config` is the JSON
+ * written by JobBoard.astro: { preset, pageSize, limit, urlSync, labels }.
+ */
+export function mountJobBoard(root) {
+  const config = JSON.parse(root.dataset.config || '{}');
+  const preset = config.preset || {};
+  const jobsPerPage = config.pageSize || 48;
+  const labels = config.labels || {};
+
+  const part = name => root.querySelector(`[data-board="${name}"]`);
+  const list = part('list');
+  const count = part('count');
+  const emptyState = part('empty');
+  const pagination = part('pagination');
+  const prevPage = part('prev');
+  const nextPage = part('next');
+  const pageInfo = part('pageInfo');
+  const infiniteScroll = part('infiniteScroll');
+  const scrollSentinel = part('scrollSentinel');
+  const saveSearch = part('saveSearch');
+  const savedSearches = part('savedSearches');
+  const feedLinks = part('feedLinks');
+  const freshness = part('freshness');
+  const controls = [...root.querySelectorAll('[data-filter]')];
+  const sortSel = controls.find(el => el.dataset.filter === 'sort');
+
+  let all = [];
+  let searcher = null;
+  let currentPage = 1;
+  // Last render's results, kept for paging and incremental rendering.
+  let filtered = [];
+  let terms = [];
+  let rendered = 0;
+  // source_urls already in the application tracker.
+  let tracked = new Set();
+  let profile = loadProfile();
+  // When the loaded jobs.json was written by the fetcher.
+  let updatedAt = null;
+
+  const card = j => renderCard(j, { terms, tracked });
+  const infinite = () => !!(infiniteScroll && infiniteScroll.checked && scrollObserver);
+
+  // Rebuilds the options of filters that come from the data (locations),
+  // since the live jobs.json may differ from the one the page was built with.
+  function refreshDynamicOptions() {
+    const { jobs } = filterJobs(all, { ...DEFAULT_FILTERS, ...preset }, searcher);
+    for (const def of FILTERS.filter(f => f.dynamic)) {
+      const select = controls.find(el => el.dataset.filter === def.key);
+      if (!select) continue;
+      const value = select.value;
+      const options = def.options({ jobs });
+      // A value from a shared link may not be in today's data; keep it
+      // selectable so the filter isn't silently dropped.
+      if (value && !options.some(o => o.value === value)) options.unshift({ value, label: value });
+      select.length = 1;
+      for (const o of options) select.add(new Option(o.label, o.value));
+      select.value = value;
+    }
+  }
+
+  // How old the jobs on screen are. Offline, they are whatever the
+  // service worker (public/sw.js) cached on the last visit.
+  function renderFreshness() {
+    if (!freshness || !updatedAt) return;
+    const offline = !navigator.onLine;
+    freshness.classList.toggle('stale', offline || Date.now() - new Date(updatedAt) > STALE_AFTER);
+    freshness.textContent = offline
+      ? `you're offline • showing jobs saved ${timeAgo(updatedAt)}. they'll refresh when you reconnect.`
+      : `jobs updated ${timeAgo(updatedAt)}`;
+    freshness.title = new Date(updatedAt).toLocaleString();
+  }
+
+  async function load() {
+    const first = !searcher;
+    try {
+      const [res, index] = await Promise.all([
+        fetch('/jobs.json', { cache: 'no-store' }),
+        // The prebuilt index is optional: without it one is built here.
+        fetch('/jobs-search.json', { cache: 'no-store' }).then(r => r.ok ? r.json() : null).catch(() => null)
+      ]);
+      const data = await res.json();
+      updatedAt = data?.updated_at || null;
+      const lastVisit = visitBaseline();
+      all = (data?.jobs || []).filter(job => !job.expired).map(job => ({
+        isNew: !!(lastVisit && job.first_seen && new Date(job.first_seen) > lastVisit),
+        ...job
+      }));
+      searcher = createSearcher(all, index);
+      scoreAll();
+      tracked = await trackedUrls().catch(() => new Set());
+
+      refreshDynamicOptions();
+      // Options only exist now, so re-apply filters from the URL.
+      if (first && config.urlSync) applyFilters(filtersFromQuery(location.search));
+
+      renderFreshness();
+      render();
+    } catch (error) {
+      // The server-rendered cards (or the last good load) stay up; only
+      // the count explains.
+      if (first && count) count.textContent = 'showing jobs from the last update. live filtering is unavailable right now.';
+      renderFreshness();
+    }
+  }
+
+  /** The filters the visitor has set, without the board's preset. */
+  function userFilters() {
+    const filters = { ...DEFAULT_FILTERS };
+    for (const el of controls) {
+      filters[el.dataset.filter] = el.type === 'checkbox' ? el.checked : el.value;
+    }
+    return filters;
+  }
+
+  function currentFilters() {
+    return { ...userFilters(), ...preset };
+  }
+
+  function applyFilters(filters) {
+    for (const el of controls) {
+      const value = filters[el.dataset.filter];
+      if (el.type === 'checkbox') el.checked = !!value;
+      else el.value = value ?? '';
+    }
+  }
+
+  function pageFromUrl() {
+    const page = parseInt(new URLSearchParams(location.search).get('page'), 10);
+    return page > 0 ? page : 1;
+  }
+
+  function stateQuery() {
+    const query = filtersToQuery(userFilters());
+    if (currentPage === 1 || infinite()) return query;
+    return (query ? query + '&' : '?') + 'page=' + currentPage;
+  }
+
+  // Keystrokes in the search box replace the current history entry so
+  // back/forward step between searches rather than between letters.
+  let typing = false;
+
+  function syncUrl(fromTyping = false) {
+    if (!config.urlSync) return;
+    const url = location.pathname + stateQuery() + location.hash;
+    if (url === location.pathname + location.search + location.hash) return;
+    if (fromTyping && typing) history.replaceState(null, '', url);
+    else history.pushState(null, '', url);
+    typing = fromTyping;
+  }
+
+  // Attaches `match` to every job while a profile is set; the "best
+  // matches" sort and the card badges read it from there.
+  function scoreAll() {
+    const active = hasProfile(profile);
+    for (const j of all) j.match = active ? scoreJob(j, profile, labels) : null;
+    const strong = active ? all.filter(j => j.match.score >= 75).length : 0;
+    root.dispatchEvent(new CustomEvent('jobs:scored', { bubbles: true, detail: { active, strong } }));
+  }
+
+  function totalPages() {
+    return Math.max(1, Math.ceil(filtered.length / jobsPerPage));
+  }
+
+  // Infinite-scroll mode appends the next batch instead of re-rendering,
+  // so scrolling through thousands of listings stays cheap.
+  function renderMore() {
+    if (rendered >= filtered.length) return;
+    const batch = filtered.slice(rendered, rendered + jobsPerPage);
+    list.insertAdjacentHTML('beforeend', batch.map(card).join(''));
+    rendered += batch.length;
+  }
+
+  const scrollObserver = infiniteScroll && scrollSentinel && 'IntersectionObserver' in window
+    ? new IntersectionObserver(entries => {
+        if (infiniteScroll.checked && entries.some(e => e.isIntersecting)) renderMore();
+      }, { rootMargin: '600px' })
+    : null;
+  if (scrollObserver) scrollObserver.observe(scrollSentinel);
+
+  function render() {
+    const filters = currentFilters();
+    ({ jobs: filtered, terms } = filterJobs(all, filters, searcher));
+    renderSaved(filters);
+    renderFeedLinks(filters);
+
+    // A page from the URL may be past the end once the data has changed.
+    currentPage = Math.min(currentPage, totalPages());
+
+    if (pagination) pagination.style.display = 'none';
+    if (filtered.length === 0) {
+      list.style.display = 'none';
+      if (emptyState) emptyState.style.display = 'block';
+    } else {
+      list.style.display = 'block';
+      if (emptyState) emptyState.style.display = 'none';
+
+      if (config.limit) {
+        // Embedded boards show a few cards and link to the full board.
+        list.innerHTML = filtered.slice(0, config.limit).map(card).join('');
+      } else if (infinite()) {
+        list.innerHTML = '';
+        rendered = 0;
+        renderMore();
+      } else {
+        if (pagination && totalPages() > 1) {
+          pagination.style.display = 'flex';
+          prevPage.disabled = currentPage === 1;
+          nextPage.disabled = currentPage === totalPages();
+          pageInfo.textContent = `page ${currentPage} of ${totalPages()}`;
+        }
+        const startIndex = (currentPage - 1) * jobsPerPage;
+        list.innerHTML = filtered.slice(startIndex, startIndex + jobsPerPage).map(card).join('');
+      }
+    }
+
+    if (count) {
+      const newCount = filtered.filter(j => j.isNew).length;
+      count.textContent = `${filtered.length} job${filtered.length === 1 ? '' : 's'} found` +
+        (newCount ? ` • ${newCount} new since your last visit` : '');
+    }
+  }
+
+  function clearAllFilters() {
+    applyFilters({ ...DEFAULT_FILTERS, sort: sortSel ? sortSel.value : '' });
+    currentPage = 1;
+    syncUrl();
+    render();
+  }
+
+  function renderSaved(filters) {
+    if (!savedSearches) return;
+    const saved = loadSavedSearches();
+    if (saveSearch) saveSearch.disabled = !hasFilters(filters) || saved.some(s => sameFilters(s.filters, filters));
+
+    if (!saved.length) {
+      savedSearches.style.display = 'none';
+      return;
+    }
+    savedSearches.style.display = 'flex';
+    savedSearches.innerHTML = '<span class="saved-label">saved searches:</span>' + saved.map(s => {
+      const active = sameFilters(s.filters, filters);
+      const fresh = active ? 0 : countNewMatches(s, all, searcher);
+      return `
+        <span class="saved-search${active ? ' active' : ''}">
+          <button class="saved-open" data-id="${s.id}">${escapeHtml(s.name)}${fresh ? `<span class="saved-new">${fresh} new</span>` : ''}</button>
+          <button class="saved-remove" data-id="${s.id}" aria-label="remove saved search ${escapeHtml(s.name)}">×</button>
+        </span>
+      `;
+    }).join('');
+  }
+
+  // Feeds only exist per category or seniority, so the closest one to the
+  // current filters is offered.
+  function renderFeedLinks(filters) {
+    if (!feedLinks) return;
+    const slug = feedSlugFor(filters);
+    const what = slug === 'all' ? 'all new jobs' : `new ${slug.replace(/-/g, ' ')} jobs`;
+    feedLinks.innerHTML = `follow ${what} in your feed reader: ` +
+      `<a href="/feeds/${slug}.xml">rss</a> · <a href="/feeds/${slug}.atom">atom</a> · <a href="/feeds/${slug}.json">json feed</a>`;
+  }
+
+  function openSaved(id) {
+    const search = loadSavedSearches().find(s => s.id === id);
+    if (!search) return;
+    applyFilters({ ...userFilters(), ...search.filters });
+    markChecked(id);
+    currentPage = 1;
+    syncUrl();
+    render();
+  }
+
+  function goToPage(page) {
+    currentPage = page;
+    syncUrl();
+    render();
+    // Scroll to top of jobs list
+    list.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  function onFilterChange(fromTyping) {
+    currentPage = 1;
+    syncUrl(fromTyping);
+    if (searcher) render();
+  }
+
+  // Event listeners
+  for (const el of controls) {
+    if (el.type === 'text' || el.type === 'search') el.addEventListener('input', () => onFilterChange(true));
+    else el.addEventListener('change', () => onFilterChange(false));
+  }
+
+  // "Best matches" means nothing without a profile, so ask for one.
+  sortSel?.addEventListener('change', () => {
+    if (sortSel.value === 'match' && !hasProfile(profile)) {
+      root.dispatchEvent(new CustomEvent('jobs:profile-needed', { bubbles: true }));
+    }
+  });
+
+  infiniteScroll?.addEventListener('change', () => {
+    try {
+      localStorage.setItem('jobs:infiniteScroll', infiniteScroll.checked ? '1' : '');
+    } catch {}
+    currentPage = 1;
+    syncUrl();
+    render();
+  });
+
+  for (const btn of root.querySelectorAll('[data-board="clear"]')) {
+    btn.addEventListener('click', clearAllFilters);
+  }
+
+  saveSearch?.addEventListener('click', () => {
+    const filters = currentFilters();
+    const name = prompt('name this search', describeFilters(filters));
+    if (name === null) return;
+    addSavedSearch(name.trim() || describeFilters(filters), filters);
+    render();
+  });
+
+  savedSearches?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-id]');
+    if (!btn) return;
+    if (btn.classList.contains('saved-remove')) {
+      removeSavedSearch(btn.dataset.id);
+      render();
+    } else {
+      openSaved(btn.dataset.id);
+    }
+  });
+
+  list.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button.track-btn');
+    if (!btn) return;
+    const job = all.find(j => j.source_url === btn.dataset.url);
+    if (!job) return;
+    btn.disabled = true;
+    try {
+      await trackJob(job);
+      tracked.add(job.source_url);
+      btn.outerHTML = TRACKED_LINK;
+    } catch {
+      btn.disabled = false;
+      btn.textContent = 'couldn\'t save';
+    }
+  });
+
+  window.addEventListener(PROFILE_EVENT, () => {
+    profile = loadProfile();
+    scoreAll();
+    if (searcher) render();
+  });
+
+  if (config.urlSync) {
+    window.addEventListener('popstate', () => {
+      typing = false;
+      applyFilters(filtersFromQuery(location.search));
+      currentPage = pageFromUrl();
+      if (searcher) render();
+    });
+  }
+
+  // Back online: fetch the latest jobs without touching the filters.
+  window.addEventListener('online', load);
+  window.addEventListener('offline', renderFreshness);
+  setInterval(renderFreshness, 60000);
+
+  prevPage?.addEventListener('click', () => {
+    if (currentPage > 1) goToPage(currentPage - 1);
+  });
+
+  nextPage?.addEventListener('click', () => {
+    if (currentPage < totalPages()) goToPage(currentPage + 1);
+  });
+
+  // Initialize
+  if (config.urlSync) {
+    applyFilters(filtersFromQuery(location.search));
+    currentPage = pageFromUrl();
+  }
+  if (infiniteScroll) {
+    try {
+      infiniteScroll.checked = localStorage.getItem('jobs:infiniteScroll') === '1';
+    } catch {}
+  }
+  load();
+}
@@ -0,0 +1,107 @@
+// Job card markup for the job board. The same function renders the cards
+// into the static HTML at build time and re-renders them in the browser,
+// so the server-rendered board and the hydrated one look identical.
+//
+// Everything from the feeds is escaped here and every external link goes
+// through linkAttrs() (lib/sanitize.js), even though the fetcher has already
+// cleaned the data: an old or hand-edited jobs.json gets the same treatment.
+
+import { coverLetterUrl, formatSalary, jobPath } from './job-pages.js';
+import { matchStrength } from './job-match.js';
+import { escapeHtml, highlight } from './search.js';
+import { linkAttrs } from './sanitize.js';
+
+export const TRACKED_LINK = '<a class="btn btn--outline track-btn" href="/resources/job-application-tracker">tracked ✓</a>';
+
+function formatTag(tag) {
+  const tagStr = String(tag).toLowerCase();
+  let className = 'job-tag';
+
+  if (/entry|junior|beginner/i.test(tagStr)) {
+    className += ' level';
+  } else if (/senior|experienced/i.test(tagStr)) {
+    className += ' senior';
+  } else if (/remote|global|anywhere/i.test(tagStr)) {
+    className += ' remote';
+  } else if (/full.?time/i.test(tagStr)) {
+    className += ' full-time';
+  } else if (/contract|freelance/i.test(tagStr)) {
+    className += ' contract';
+  }
+
+  // Clean up the tag text - split on common separators and take meaningful parts
+  const cleanTag = String(tag).replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase to spaces
+                      .replace(/[_-]/g, ' ') // underscores and dashes to spaces
+                      .replace(/\s+/g, ' ') // multiple spaces to single
+                      .trim();
+
+  return `<span class="${className}">${escapeHtml(cleanTag)}</span>`;
+}
+
+function renderMatch(match) {
+  const bullets = (items, className) => items.length ? `<ul class="${className}">${items.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : '';
+  return `
+    <details class="job-match ${matchStrength(match.score)}">
+      <summary><span class="match-score">${match.score}% match</span>why this matches</summary>
+      ${bullets(match.reasons, 'match-reasons')}
+      ${match.missing.length ? `<strong>what's missing</strong>${bullets(match.missing, 'match-missing')}` : ''}
+    </details>
+  `;
+}
+
+// Titles open the job's own page; older snapshots without job ids
+// link straight to the listing as before.
+function titleLink(j, terms) {
+  const title = terms.length ? highlight(j.title, terms) : escapeHtml(j.title);
+  const path = jobPath(j);
+  return path ? `<a href="${path}">${title}</a>` : `<a ${linkAttrs(j.source_url)}>${title}</a>`;
+}
+
+/**
+ * HTML for one job card.
+ *
+ * @param {object} j a job from jobs.json, optionally with `isNew` and `match`
+ * @param {{ terms?: string[], tracked?: Set<string> | null }} ctx search
+ *   terms to highlight, and the tracker's source_urls (null hides the track
+ *   button, e.g. while rendering at build time)
+ */
+export function renderCard(j, { terms = [], tracked = null } = {}) {
+  const tags = (j.tags || []).map(tag => formatTag(tag)).join('');
+  const alsoOn = (j.sources || [])
+    .filter(s => s.source !== j.source)
+    .map(s => `<a ${linkAttrs(s.url)}>${escapeHtml(s.source)}</a>`)
+    .join(', ');
+  let track = '';
+  if (tracked) {
+    track = tracked.has(j.source_url) ? TRACKED_LINK : `<button class="btn btn--outline track-btn" data-url="${escapeHtml(j.source_url)}">track</button>`;
+  }
+
+  return `
+    <li class="job-card">
+      <div class="job-header">
+        <div class="job-title">
+          ${titleLink(j, terms)}${j.isNew ? '<span class="job-new">new</span>' : ''}
+          <div class="job-meta">
+            ${escapeHtml([j.company, j.location || 'remote', formatSalary(j.salary)].filter(Boolean).join(' • '))}
+          </div>
+        </div>
+        <div class="job-actions">
+          <div class="job-date">${j.posted_at ? new Date(j.posted_at).toLocaleDateString() : ''}</div>
+          <a class="btn apply-btn" ${linkAttrs(j.source_url)}>apply</a>
+          ${track}
+          <a class="job-letter-link" href="${escapeHtml(coverLetterUrl(j))}">write a cover letter</a>
+        </div>
+      </div>
+      ${terms.length && j.excerpt ? `<p class="job-snippet">${highlight(j.excerpt, terms, 180)}</p>` : ''}
+      ${j.risk_flagged ? `
+        <div class="job-risk">
+          <strong>⚠️ check before applying</strong>
+          <ul>${(j.risk_reasons || []).map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+          <a href="/blog/avoid-remote-job-scams">how to spot job scams</a>
+        </div>` : ''}
+      ${j.match ? renderMatch(j.match) : ''}
+      ${tags ? `<div class="job-tags">${tags}</div>` : ''}
+      ${alsoOn ? `<div class="job-also-on">also on: ${alsoOn}</div>` : ''}
+    </li>
+  `;
+}
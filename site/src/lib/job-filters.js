@@ -0,0 +1,276 @@
+// Filter state for the job board.
+//
+// A filter set is a plain object ({ q, level, jobType, category, country,
+// globalOnly, sort, ... }) so it can round-trip through the URL and
+// localStorage and be replayed later, e.g. to count new matches for a saved
+// search.
+//
+// Filters are defined once in FILTERS below. Adding a definition there is
+// all it takes for a new filter to get a control on the board (see
+// components/JobBoard.astro), a URL parameter, saved-search support and a
+// place in filterJobs(). A definition is:
+//
+//   key       filter set key and URL parameter
+//   label     control label
+//   type      'select' | 'checkbox'
+//   all       label of a select's "no filter" option
+//   fallback  value meaning "not filtering" ('' or false)
+//   options   ({ jobs, taxonomy }) => [{ value, label }], for selects
+//   dynamic   options come from the loaded jobs, so the board rebuilds
+//             them once jobs.json arrives
+//   hidden    no control unless asked for; still usable as a preset
+//   tag       short text for saved-search names (checkboxes)
+//   test      (job, value) => whether the job passes
+//
+// Free-text search (`q`) and `sort` are part of every filter set but are
+// not definitions: search ranks rather than filters, and sort orders.
+
+/**
+ * @typedef {object} FilterDef
+ * @property {string} key
+ * @property {string} label
+ * @property {'select' | 'checkbox'} type
+ * @property {string} [all]
+ * @property {string | boolean} fallback
+ * @property {(context: { jobs: any[], taxonomy: any }) => { value: string, label: string }[]} [options]
+ * @property {boolean} [dynamic]
+ * @property {boolean} [hidden]
+ * @property {string} [tag]
+ * @property {(job: any, value: any) => boolean} test
+ */
+
+/** @type {FilterDef[]} */
+export const FILTERS = [
+  {
+    key: 'level',
+    label: 'experience level',
+    type: 'select',
+    all: 'all levels',
+    fallback: '',
+    options: () => [
+      { value: 'entry', label: 'entry level' },
+      { value: 'junior', label: 'junior (1-2 years)' },
+      { value: 'experienced', label: 'experienced (3+ years)' }
+    ],
+    // Seniority is classified at fetch time; "experienced" spans mid and senior.
+    test: (j, v) => (v === 'experienced' ? j.seniority === 'mid' || j.seniority === 'senior' : j.seniority === v)
+  },
+  {
+    key: 'jobType',
+    label: 'job type',
+    type: 'select',
+    all: 'all types',
+    fallback: '',
+    options: ({ taxonomy }) => taxonomy.employment_types.map(t => t.id).sort().map(id => ({ value: id, label: id })),
+    test: (j, v) => j.employment_type === v
+  },
+  {
+    key: 'category',
+    label: 'category',
+    type: 'select',
+    all: 'all categories',
+    fallback: '',
+    options: ({ taxonomy }) => taxonomy.categories.map(c => ({ value: c.id, label: c.label })),
+    test: (j, v) => j.category === v
+  },
+  {
+    key: 'country',
+    label: 'location',
+    type: 'select',
+    all: 'all locations',
+    fallback: '',
+    dynamic: true,
+    options: ({ jobs }) => [...new Set(jobs.flatMap(jobCountries))].sort().map(c => ({ value: c, label: c })),
+    test: (j, v) => jobCountries(j).includes(v)
+  },
+  {
+    key: 'globalOnly',
+    label: 'global remote only',
+    type: 'checkbox',
+    fallback: false,
+    tag: 'global',
+    test: (j) => isGlobal(j)
+  },
+  {
+    // The classifier's exact seniority, for landing pages that need
+    // "mid" without "senior"; the level filter is what people pick.
+    key: 'seniority',
+    label: 'seniority',
+    type: 'select',
+    all: 'all levels',
+    fallback: '',
+    hidden: true,
+    options: () => ['entry', 'junior', 'mid', 'senior'].map(id => ({ value: id, label: id })),
+    test: (j, v) => j.seniority === v
+  }
+];
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  ...Object.fromEntries(FILTERS.map(f => [f.key, f.fallback])),
+  sort: ''
+};
+
+// '' is relevance: ranked when there is a query, newest first otherwise.
+// 'match' orders by the profile score the page attaches as `job.match`.
+export const SORTS = ['', 'newest', 'oldest', 'source', 'salary', 'match'];
+
+/** Reads a filter set from a query string; unknown params are ignored. */
+export function filtersFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+  for (const key of Object.keys(DEFAULT_FILTERS)) {
+    if (!params.has(key)) continue;
+    const value = params.get(key);
+    filters[key] = typeof DEFAULT_FILTERS[key] === 'boolean' ? value === '1' || value === 'true' : value;
+  }
+  if (!SORTS.includes(filters.sort)) filters.sort = '';
+  return filters;
+}
+
+/** Query string for a filter set, leaving out defaults ('' when nothing is set). */
+export function filtersToQuery(filters) {
+  const params = new URLSearchParams();
+  for (const [key, fallback] of Object.entries(DEFAULT_FILTERS)) {
+    const value = filters[key];
+    if (value === undefined || value === fallback) continue;
+    params.set(key, typeof fallback === 'boolean' ? '1' : String(value).trim());
+  }
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+export function sameFilters(a, b) {
+  return filtersToQuery(a) === filtersToQuery(b);
+}
+
+export function hasFilters(filters) {
+  return filtersToQuery(filters) !== '';
+}
+
+// Country mapping
+const countryMap = new Map(Object.entries({
+  "czech republic": "czechia",
+  "cz": "czechia",
+  "czechia": "czechia",
+  "united kingdom": "uk",
+  "great britain": "uk",
+  "gb": "uk",
+  "uk": "uk",
+  "england": "uk",
+  "scotland": "uk",
+  "wales": "uk",
+  "northern ireland": "uk",
+  "united states": "usa",
+  "u.s.a.": "usa",
+  "u.s.": "usa",
+  "us": "usa",
+  "usa": "usa",
+  "united arab emirates": "uae",
+  "uae": "uae",
+  "netherlands": "netherlands",
+  "holland": "netherlands",
+  "germany": "germany",
+  "france": "france",
+  "spain": "spain",
+  "portugal": "portugal",
+  "ireland": "ireland",
+  "australia": "australia",
+  "new zealand": "new zealand",
+  "canada": "canada",
+  "india": "india"
+}));
+
+// Global patterns
+const globalPatterns = [
+  /(^|\b)remote(\b|$)/i,
+  /anywhere/i,
+  /worldwide/i,
+  /global/i,
+  /any location/i,
+  /work from anywhere/i,
+  /open to.*any.*timezone/i,
+  /distributed/i
+];
+
+export function isGlobal(j) {
+  if (j.remote_scope) return j.remote_scope === 'global';
+  const hay = [
+    j.location || "",
+    ...(j.tags || []),
+    (j.title || "")
+  ].join(" ").toLowerCase();
+  return globalPatterns.some(rx => rx.test(hay));
+}
+
+function extractCountries(raw) {
+  if (!raw) return [];
+  const s = String(raw).toLowerCase();
+
+  if (globalPatterns.some(rx => rx.test(s))) return [];
+
+  const parts = s.split(/[\/,|•\-—]+/).map(p => p.trim()).filter(Boolean);
+  const norm = parts.map(p => {
+    const w = p
+      .replace(/\d+/g, '')
+      .replace(/\b(remote|hybrid|onsite|office|time.?zone|tz)\b/gi, '')
+      .trim();
+    return countryMap.get(w) || w;
+  }).filter(Boolean);
+
+  const bad = new Set(["remote", "hybrid", "onsite", "office", "", "global", "anywhere"]);
+  return Array.from(new Set(norm.filter(x => !bad.has(x))));
+}
+
+// Structured regions from the fetcher, falling back to parsing the
+// display string for older snapshots.
+export function jobCountries(j) {
+  return Array.isArray(j.regions) ? j.regions : extractCountries(j.location);
+}
+
+/**
+ * Applies a filter set to `jobs`. With a query, `searcher` (from
+ * createSearcher) ranks the results by relevance; `filters.sort` then reorders
+ * them (relevance keeps the ranking, or the input order without a query).
+ *
+ * @returns {{ jobs: object[], terms: string[] }} `terms` are the matched
+ *   search terms, for highlighting.
+ */
+export function filterJobs(jobs, filters, searcher) {
+  const hits = filters.q && filters.q.trim() ? searcher.search(filters.q) : null;
+  const source = hits ? hits.results.map(r => r.job) : jobs;
+  const active = FILTERS.filter(f => filters[f.key] !== undefined && filters[f.key] !== f.fallback);
+
+  const matched = source.filter(j => active.every(f => f.test(j, filters[f.key])));
+
+  return { jobs: sortJobs(matched, filters.sort), terms: hits ? hits.terms : [] };
+}
+
+const PERIODS_PER_YEAR = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+// Yearly figure used for sorting only; currencies are compared as-is.
+function annualSalary(salary) {
+  if (!salary || !salary.min) return null;
+  return (salary.max || salary.min) * (PERIODS_PER_YEAR[salary.period] || 1);
+}
+
+const time = (j) => new Date(j.posted_at || 0).getTime();
+
+/** Returns a sorted copy of `jobs`; relevance ('') keeps the given order. */
+export function sortJobs(jobs, sort) {
+  const sorted = [...jobs];
+  if (sort === 'newest') sorted.sort((a, b) => time(b) - time(a));
+  else if (sort === 'oldest') sorted.sort((a, b) => time(a) - time(b));
+  else if (sort === 'source') sorted.sort((a, b) => String(a.source).localeCompare(String(b.source)) || time(b) - time(a));
+  else if (sort === 'match') sorted.sort((a, b) => (b.match ? b.match.score : -1) - (a.match ? a.match.score : -1) || time(b) - time(a));
+  else if (sort === 'salary') {
+    // Listings without a salary go last, newest first among themselves.
+    sorted.sort((a, b) => {
+      const sa = annualSalary(a.salary);
+      const sb = annualSalary(b.salary);
+      if (sa === null || sb === null) return (sa === null) - (sb === null) || time(b) - time(a);
+      return sb - sa;
+    });
+  }
+  return sorted;
+}
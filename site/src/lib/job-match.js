@@ -0,0 +1,212 @@
+// Job-match scoring against a skills profile kept in the user's browser.
+//
+// A profile is { skills, seniority, categories, timezone, jobType }, using
+// the same ids the fetcher's classifyJob() writes to jobs.json (skills,
+// seniority, category, employment_type). Each part the profile fills in is
+// scored against the listing; parts the profile or the listing leave blank
+// are skipped rather than counted against it.
+
+import { offsetMinutes } from './timezones.js';
+
+const STORAGE_KEY = 'jobs:profile';
+
+// Dispatched on window when the profile is edited, so job boards on the
+// page can re-score their listings.
+export const PROFILE_EVENT = 'jobs:profile';
+
+export const DEFAULT_PROFILE = {
+  skills: [],
+  seniority: '',
+  categories: [],
+  timezone: '',
+  jobType: ''
+};
+
+// The self-assessment checklist from /blog/remote-work-skills-assessment.
+// Ticked items seed the profile with the taxonomy skills they point to.
+export const ASSESSMENT = [
+  {
+    group: 'Communication Skills',
+    items: [
+      { text: 'I can write professional emails that are clear and actionable', skills: ['communication', 'english'] },
+      { text: "I'm comfortable presenting ideas during video calls", skills: ['communication'] },
+      { text: 'I can give and receive feedback constructively', skills: ['communication'] },
+      { text: 'I adapt my communication style to different audiences', skills: ['communication', 'customer-support'] }
+    ]
+  },
+  {
+    group: 'Self-Management',
+    items: [
+      { text: 'I maintain productivity without direct supervision', skills: [] },
+      { text: 'I have effective systems for organizing my work', skills: ['notion', 'asana'] },
+      { text: 'I can prioritize tasks and meet deadlines consistently', skills: ['calendar-management'] },
+      { text: 'I maintain work-life balance while working from home', skills: [] }
+    ]
+  },
+  {
+    group: 'Technical Competence',
+    items: [
+      { text: "I'm proficient with video conferencing tools", skills: ['google-workspace'] },
+      { text: 'I can collaborate effectively using digital platforms', skills: ['slack', 'google-workspace'] },
+      { text: 'I troubleshoot basic technical issues independently', skills: [] },
+      { text: "I'm comfortable learning new software quickly", skills: [] }
+    ]
+  },
+  {
+    group: 'Collaboration & Teamwork',
+    items: [
+      { text: 'I contribute meaningfully to virtual team discussions', skills: ['slack'] },
+      { text: "I build relationships with colleagues I've never met in person", skills: [] },
+      { text: 'I resolve conflicts professionally in digital environments', skills: ['communication'] },
+      { text: "I'm reliable and accountable to my remote team", skills: [] }
+    ]
+  }
+];
+
+export function loadProfile() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved && typeof saved === 'object' ? { ...DEFAULT_PROFILE, ...saved } : { ...DEFAULT_PROFILE };
+  } catch {
+    return { ...DEFAULT_PROFILE };
+  }
+}
+
+export function saveProfile(profile) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } catch {
+    // Private browsing or a full quota: the profile lasts for this page only.
+  }
+  return profile;
+}
+
+export function hasProfile(profile) {
+  return !!(profile.skills.length || profile.seniority || profile.categories.length || profile.timezone || profile.jobType);
+}
+
+// Points per part of the profile; a score is the share of the points
+// available for that listing.
+const WEIGHTS = { skills: 35, category: 25, seniority: 20, location: 10, jobType: 10 };
+
+const LEVELS = ['entry', 'junior', 'mid', 'senior'];
+
+// Rough UTC offsets (hours) a region's working hours can be reached from.
+// Restricted listings mostly mean "live here" or "work our hours"; either
+// way someone well outside these offsets is unlikely to be considered.
+const REGION_OFFSETS = {
+  usa: [-10, -4],
+  canada: [-8, -3.5],
+  mexico: [-8, -5],
+  'north america': [-10, -3.5],
+  latam: [-8, -3],
+  brazil: [-5, -2],
+  uk: [-1, 2],
+  ireland: [-1, 2],
+  portugal: [-1, 2],
+  spain: [0, 3],
+  france: [0, 3],
+  germany: [0, 3],
+  netherlands: [0, 3],
+  poland: [0, 3],
+  czechia: [0, 3],
+  europe: [-1, 3],
+  emea: [-1, 4],
+  uae: [3, 5],
+  india: [4.5, 6.5],
+  philippines: [7, 9],
+  apac: [5, 13],
+  australia: [8, 11],
+  'new zealand': [11, 13]
+};
+
+const label = (labels, id) => labels[id] || id.replace(/-/g, ' ');
+
+/**
+ * Scores a listing from jobs.json against a profile.
+ *
+ * @param {object} labels display names by taxonomy id, for the explanations
+ * @returns {{ score: number, reasons: string[], missing: string[] }} score is
+ *   0-100; reasons say why it matches, missing what counts against it.
+ */
+export function scoreJob(job, profile, labels = {}, now = new Date()) {
+  let earned = 0;
+  let possible = 0;
+  const reasons = [];
+  const missing = [];
+
+  const jobSkills = job.skills || [];
+  if (profile.skills.length && jobSkills.length) {
+    const have = jobSkills.filter((s) => profile.skills.includes(s));
+    const lacking = jobSkills.filter((s) => !profile.skills.includes(s));
+    possible += WEIGHTS.skills;
+    earned += WEIGHTS.skills * (have.length / jobSkills.length);
+    if (have.length) reasons.push(`you have ${have.map((s) => label(labels, s)).join(', ')}`);
+    if (lacking.length) missing.push(`asks for ${lacking.map((s) => label(labels, s)).join(', ')}`);
+  }
+
+  if (profile.categories.length && job.category && job.category !== 'other') {
+    possible += WEIGHTS.category;
+    if (profile.categories.includes(job.category)) {
+      earned += WEIGHTS.category;
+      reasons.push(`${label(labels, job.category)} is one of your fields`);
+    } else {
+      missing.push(`${label(labels, job.category)} isn't one of your fields`);
+    }
+  }
+
+  if (profile.seniority && job.seniority) {
+    // Roles at or below your level fit; one step up is a stretch.
+    const gap = LEVELS.indexOf(job.seniority) - LEVELS.indexOf(profile.seniority);
+    possible += WEIGHTS.seniority;
+    if (gap <= 0) {
+      earned += WEIGHTS.seniority;
+      reasons.push(`${job.seniority}-level fits your experience`);
+    } else if (gap === 1) {
+      earned += WEIGHTS.seniority / 2;
+      missing.push(`${job.seniority}-level is a step up from ${profile.seniority}`);
+    } else {
+      missing.push(`asks for ${job.seniority}-level experience`);
+    }
+  }
+
+  if (profile.timezone && job.remote_scope) {
+    possible += WEIGHTS.location;
+    if (job.remote_scope === 'global') {
+      earned += WEIGHTS.location;
+      reasons.push('open to candidates worldwide');
+    } else {
+      const offset = offsetMinutes(profile.timezone, now) / 60;
+      const regions = job.regions || [];
+      const reachable = regions.filter((r) => {
+        const range = REGION_OFFSETS[r];
+        return range && offset >= range[0] && offset <= range[1];
+      });
+      if (reachable.length) {
+        earned += WEIGHTS.location;
+        reasons.push(`hires in ${reachable.join(', ')}, close to your time zone`);
+      } else {
+        missing.push(`hires in ${regions.join(', ') || job.location} only`);
+      }
+    }
+  }
+
+  if (profile.jobType && job.employment_type) {
+    possible += WEIGHTS.jobType;
+    if (job.employment_type === profile.jobType) {
+      earned += WEIGHTS.jobType;
+      reasons.push(`${job.employment_type}, as you prefer`);
+    } else {
+      missing.push(`${job.employment_type}, not ${profile.jobType}`);
+    }
+  }
+
+  return { score: possible ? Math.round((earned / possible) * 100) : 0, reasons, missing };
+}
+
+/** "strong", "good" or "partial", for the badge on a job card. */
+export function matchStrength(score) {
+  if (score >= 75) return 'strong';
+  if (score >= 50) return 'good';
+  return 'partial';
+}
@@ -0,0 +1,163 @@
+// URLs and structured data for the static job pages (/jobs/<slug>) and the
+// category and seniority landing pages (/remote-jobs/<bucket>), shared by
+// the pages themselves, the feeds, the sitemap and the board's links.
+
+// Landing page (and feed) slugs for the fetcher's seniority ids.
+export const SENIORITY_SLUGS = {
+  entry: 'entry-level',
+  junior: 'junior',
+  mid: 'mid-level',
+  senior: 'senior'
+};
+
+// The board's level filter is coarser than the classifier's seniority.
+const BOARD_LEVELS = { entry: 'entry', junior: 'junior', mid: 'experienced', senior: 'experienced' };
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60)
+    .replace(/-$/, '');
+}
+
+/**
+ * Page slug for a job, e.g. "junior-data-analyst-northwind-8c770dce69af".
+ * The trailing id keeps it stable and unique; jobs from snapshots older
+ * than job ids have no page.
+ */
+export function jobSlug(job) {
+  if (!job.id) return null;
+  const words = slugify(`${job.title} ${job.company || ''}`);
+  return words ? `${words}-${job.id}` : job.id;
+}
+
+/** Site path of a job's page, or null when it has none. */
+export function jobPath(job) {
+  const slug = jobSlug(job);
+  return slug && `/jobs/${slug}`;
+}
+
+/**
+ * Category and seniority buckets, newest first within each:
+ * [{ slug, kind, id, label, jobs }]. Empty buckets are kept so their
+ * landing pages and feeds always exist.
+ */
+export function jobBuckets(jobs, taxonomy) {
+  const newest = [...jobs].sort((a, b) => new Date(b.first_seen || b.posted_at) - new Date(a.first_seen || a.posted_at));
+  return [
+    ...taxonomy.categories.map((c) => ({
+      slug: c.id, kind: 'category', id: c.id, label: c.label, jobs: newest.filter((j) => j.category === c.id)
+    })),
+    ...Object.entries(SENIORITY_SLUGS).map(([level, slug]) => ({
+      slug, kind: 'seniority', id: level, label: slug.replace('-', ' '), jobs: newest.filter((j) => j.seniority === level)
+    }))
+  ];
+}
+
+/** The board filtered to a bucket. */
+export function boardUrl(bucket) {
+  return bucket.kind === 'category' ? `/jobs?category=${bucket.id}` : `/jobs?level=${BOARD_LEVELS[bucket.id]}`;
+}
+
+/** Landing page path for a job's category or seniority, or null. */
+export function bucketPath(kind, id) {
+  if (kind === 'category') return id && id !== 'other' ? `/remote-jobs/${id}` : null;
+  return SENIORITY_SLUGS[id] ? `/remote-jobs/${SENIORITY_SLUGS[id]}` : null;
+}
+
+/**
+ * Live listings most like `job`: same category first, then shared skills
+ * and the same seniority, newest breaking ties.
+ */
+export function similarJobs(job, jobs, limit = 6) {
+  const skills = new Set(job.skills || []);
+  return jobs
+    .filter((j) => !j.expired && j.id !== job.id && j.source_url !== job.source_url)
+    .map((j) => ({
+      job: j,
+      score: (j.category && j.category === job.category ? 3 : 0) +
+        (j.skills || []).filter((s) => skills.has(s)).length +
+        (j.seniority === job.seniority ? 1 : 0)
+    }))
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.job.posted_at) - new Date(a.job.posted_at))
+    .slice(0, limit)
+    .map((s) => s.job);
+}
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', CAD: 'CA$', AUD: 'A$' };
+const PERIOD_LABELS = { hour: '/hr', day: '/day', week: '/wk', month: '/mo', year: '/yr' };
+
+/** "$55k–65k/yr", or '' without a salary. */
+export function formatSalary(salary) {
+  if (!salary || !salary.min) return '';
+  const sym = CURRENCY_SYMBOLS[salary.currency] || (salary.currency + ' ');
+  const fmt = (n) => (n >= 1000 ? Math.round(n / 1000) + 'k' : String(n));
+  const range = salary.max > salary.min ? `${fmt(salary.min)}–${fmt(salary.max)}` : fmt(salary.min);
+  return `${sym}${range}${PERIOD_LABELS[salary.period] || ''}`;
+}
+
+/** Opens the cover letter generator with the listing's details filled in. */
+export function coverLetterUrl(job) {
+  const params = new URLSearchParams({ role: job.title });
+  if (job.company) params.set('company', job.company);
+  if (job.skills && job.skills.length) params.set('skills', job.skills.join(','));
+  return `/resources/cover-letter-generator?${params}#templates`;
+}
+
+/** The resume checker with this job picked, or null for jobs without an id. */
+export function resumeCheckUrl(job) {
+  return job.id ? `/resources/resume-template?job=${encodeURIComponent(job.id)}#ats-checker` : null;
+}
+
+const EMPLOYMENT_TYPES = { 'full-time': 'FULL_TIME', 'part-time': 'PART_TIME', contract: 'CONTRACTOR', internship: 'INTERN' };
+const SALARY_UNITS = { hour: 'HOUR', day: 'DAY', week: 'WEEK', month: 'MONTH', year: 'YEAR' };
+
+// Countries for applicantLocationRequirements, by the fetcher's region
+// names. Multi-country regions (europe, latam, ...) have no single code
+// and are left out.
+const REGION_COUNTRIES = {
+  usa: 'US', canada: 'CA', mexico: 'MX', uk: 'GB', ireland: 'IE', germany: 'DE', france: 'FR',
+  spain: 'ES', portugal: 'PT', netherlands: 'NL', poland: 'PL', czechia: 'CZ', india: 'IN',
+  philippines: 'PH', brazil: 'BR', australia: 'AU', 'new zealand': 'NZ', uae: 'AE'
+};
+
+/** schema.org JobPosting for a live job (https://schema.org/JobPosting). */
+export function jobPostingLd(job, pageUrl) {
+  const posting = {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.excerpt || job.title,
+    datePosted: job.posted_at,
+    url: pageUrl,
+    directApply: false,
+    jobLocationType: 'TELECOMMUTE',
+    hiringOrganization: { '@type': 'Organization', name: job.company || 'Confidential' },
+    identifier: { '@type': 'PropertyValue', name: 'remotelyyou', value: job.id }
+  };
+  if (EMPLOYMENT_TYPES[job.employment_type]) posting.employmentType = EMPLOYMENT_TYPES[job.employment_type];
+
+  const countries = (job.regions || []).map((r) => REGION_COUNTRIES[r]).filter(Boolean);
+  if (countries.length) {
+    posting.applicantLocationRequirements = countries.map((name) => ({ '@type': 'Country', name }));
+  }
+
+  if (job.salary && job.salary.min) {
+    posting.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: job.salary.currency,
+      value: {
+        '@type': 'QuantitativeValue',
+        minValue: job.salary.min,
+        maxValue: job.salary.max || job.salary.min,
+        unitText: SALARY_UNITS[job.salary.period] || 'YEAR'
+      }
+    };
+  }
+  return posting;
+}
@@ -0,0 +1,263 @@
+// Resume keyword / ATS check against one job, run entirely in the browser.
+//
+// An applicant tracking system mostly looks for the job's own words in the
+// resume, so the report compares the two texts: the job's most repeated
+// keywords, the classifier's skills vocabulary (scripts/taxonomy.json, the
+// same patterns the fetcher tags jobs with), and the words remote employers
+// scan for. Formatting checks and bullet rewrites follow the advice on
+// /resources/resume-template.
+
+import { stem, tokenizeWithOffsets } from './search.js';
+
+// Words every job ad uses; they say nothing about this job. Stored stemmed,
+// as they are compared with stems.
+const FILLER = new Set((
+  'about able across after all also any apply being best both but can candidate candidates company ' +
+  'day do each environment etc every experience help hiring how ideal if including into job join just ' +
+  'like looking make more most must new not one only other out over per plus position preferred ' +
+  'required requirements responsibilities role salary should so some strong such team than them there ' +
+  'they time using very via want well what when where which while who why within work working would year'
+).split(' ').map(stem));
+
+// What remote employers look for besides the job's own skills. Each entry
+// is one signal, matched by any of its patterns.
+export const REMOTE_SIGNALS = [
+  { label: 'remote', patterns: ['remote(ly)?', 'work from home', 'wfh'] },
+  { label: 'distributed team', patterns: ['distributed', 'across (\\d+|several|multiple) time ?zones', 'global team'] },
+  { label: 'asynchronous communication', patterns: ['async(hronous(ly)?)?'] },
+  { label: 'written communication', patterns: ['written communication', 'documentation', 'documented', 'wrote'] },
+  { label: 'self-motivated', patterns: ['self[- ](motivated|directed|starter|managed)', 'independently', 'autonomous(ly)?'] },
+  { label: 'time management', patterns: ['time management', 'prioriti[sz]', 'deadlines?'] },
+  { label: 'video calls', patterns: ['zoom', 'google meet', 'video (calls?|meetings?)', 'microsoft teams'] },
+  { label: 'collaboration tools', patterns: ['slack', 'asana', 'trello', 'notion', 'jira', 'google (docs|drive|workspace)'] }
+];
+
+// Sample bullets in the template's style, by situation. The rewrite
+// suggestions borrow the one closest to the bullet being rewritten.
+export const EXAMPLE_BULLETS = [
+  {
+    group: 'entry-level remote work',
+    bullets: [
+      'Answered 40+ customer emails a day in Zendesk with a 95% satisfaction score, working remotely across 3 time zones',
+      'Kept a shared Google Sheets tracker of 200+ leads up to date, cutting weekly reporting time by 2 hours',
+      'Scheduled 30+ meetings a week in Google Calendar for a distributed team of 8'
+    ]
+  },
+  {
+    group: 'career transition',
+    bullets: [
+      'Trained 5 new hires on store procedures, then turned the training into a written guide used by 3 locations',
+      'Handled 60+ customer conversations a shift in retail, resolving complaints without escalation 90% of the time',
+      'Built a weekly sales report in Excel that replaced a manual count and saved the manager 3 hours a week'
+    ]
+  },
+  {
+    group: 'freelance work',
+    bullets: [
+      'Delivered 12 blog posts a month for 3 clients on deadline, growing one client\'s organic traffic 40% in 6 months',
+      'Designed social media graphics in Canva for 4 small businesses, managing briefs and feedback asynchronously over Slack',
+      'Managed 10+ client projects at once in Trello, with 100% on-time delivery over 2 years'
+    ]
+  },
+  {
+    group: 'skills without formal experience',
+    bullets: [
+      'Completed a 40-hour SQL course and built 3 portfolio reports analysing public datasets',
+      'Organised a 50-person volunteer event, coordinating 8 helpers over email and a shared Notion board',
+      'Built a personal budgeting spreadsheet with pivot tables and charts, shared as a template used by 200+ people'
+    ]
+  }
+];
+
+// Weak openers and the stronger verbs that usually replace them. A third
+// `true` marks openers usually followed by a gerund ("responsible for
+// handling tickets"), which the new verb replaces too.
+const WEAK_OPENERS = [
+  [/^(was )?responsible for\s+/i, 'Managed', true],
+  [/^(duties|responsibilities) (included|include)\s*:?\s*/i, 'Handled'],
+  [/^(was )?tasked with\s+/i, 'Delivered', true],
+  [/^(was )?in charge of\s+/i, 'Led', true],
+  [/^helped( to)?( with)?\s+/i, 'Supported'],
+  [/^assisted( with| in)?\s+/i, 'Supported'],
+  [/^worked on\s+/i, 'Built'],
+  [/^participated in\s+/i, 'Contributed to']
+];
+
+// Gerunds the new verb can stand in for. A closed list, because plenty of
+// -ing words after "responsible for" are nouns: billing, marketing,
+// onboarding, everything.
+const DROPPABLE_GERUNDS = new Set((
+  'handling managing running maintaining creating building developing designing coordinating ' +
+  'overseeing leading writing preparing producing organizing organising processing reviewing ' +
+  'tracking updating answering responding supervising migrating delivering planning'
+).split(' '));
+
+// After these the -ing word is a noun in a list or phrase ("billing and
+// invoicing", "scheduling for the team"), so it stays.
+const KEEPS_GERUND = /^(and|or|for|to|of|with|in|on|at|across|related)\b/i;
+
+// The opener's object without a leading gerund the new verb replaces.
+function dropGerund(rest) {
+  const m = rest.match(/^(\w+)\s+(.*)$/);
+  if (!m || !DROPPABLE_GERUNDS.has(m[1].toLowerCase()) || KEEPS_GERUND.test(m[2])) return rest;
+  return m[2];
+}
+
+const BULLET = /^\s*([-*•·‣▪]|\d+[.)])\s+/;
+const FANCY_BULLET = /^\s*[★☆✓✔➢➤►▶◆◇■□●○✦❖]/;
+
+function compile(patterns) {
+  return new RegExp(`\\b(?:${patterns.join('|')})\\b`, 'i');
+}
+
+/** Taxonomy skills found in `text`, as [{ id, label }]. */
+export function findSkills(text, skills) {
+  return skills.filter((s) => compile(s.patterns).test(text)).map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * The job's keywords, most repeated first: [{ word, stem, count }]. `word`
+ * is how it first appears in the text; matching is on the stem, so
+ * "managed" in a resume counts for "managing" in the ad.
+ */
+export function extractKeywords(text, limit = 25) {
+  const found = new Map();
+  for (const t of tokenizeWithOffsets(text)) {
+    if (t.term.length < 3 || /^\d+$/.test(t.term) || FILLER.has(t.term)) continue;
+    const entry = found.get(t.term) || { word: String(text).slice(t.start, t.end).toLowerCase(), stem: t.term, count: 0 };
+    entry.count += 1;
+    found.set(t.term, entry);
+  }
+  return [...found.values()]
+    .sort((a, b) => b.count - a.count || b.word.length - a.word.length)
+    .slice(0, limit);
+}
+
+/**
+ * Text to check a resume against for a job from jobs.json. `labels` maps
+ * category and skill ids to their taxonomy labels.
+ */
+export function jobText(job, labels = {}) {
+  return [
+    job.title,
+    job.excerpt,
+    ...(job.categories || []).map((id) => labels[id] || id),
+    ...(job.skills || []).map((id) => labels[id] || id)
+  ].filter(Boolean).join('\n');
+}
+
+/** Problems an ATS or a recruiter would trip over: [{ level, message }]. */
+export function formattingIssues(resume) {
+  const issues = [];
+  const lines = resume.split(/\r?\n/);
+  const words = resume.split(/\s+/).filter(Boolean).length;
+  const add = (level, message) => issues.push({ level, message });
+
+  if (words < 150) add('warn', `only ${words} words. most one-page resumes have 300–600, so there may not be enough for an ATS to match.`);
+  if (words > 1000) add('warn', `${words} words is more than two pages. keep the most relevant and recent work.`);
+
+  for (const [heading, re] of [
+    ['experience', /^\s*(work |professional |relevant )?experience\b|^\s*employment( history)?\b|^\s*work history\b/im],
+    ['education', /^\s*education\b/im],
+    ['skills', /^\s*(technical |key |core )?skills\b/im]
+  ]) {
+    if (!re.test(resume)) add('error', `no "${heading}" heading. ATS parsers look for standard section names.`);
+  }
+
+  if (!/[\w.+-]+@[\w-]+\.[\w.]+/.test(resume)) add('error', 'no email address found. put your contact details in the body, not a header or footer.');
+  if (!/\bremote\b/i.test(lines.slice(0, 5).join(' '))) add('info', 'add "Remote" or "Available for remote work" next to your location at the top.');
+  if (lines.some((l) => FANCY_BULLET.test(l))) add('warn', 'fancy bullet symbols (★ ✓ ➢) can come out garbled. use plain "-" or "•" bullets.');
+  if (lines.filter((l) => /\t|\S {4,}\S/.test(l)).length >= 3) add('warn', 'lines with big gaps look like tables or columns, which many ATS read out of order. use a single column.');
+  if (/[\u{1F300}-\u{1FAFF}]/u.test(resume)) add('warn', 'emoji and icons are usually dropped or garbled by ATS parsers.');
+  if (lines.some((l) => l.length > 300)) add('info', 'some paragraphs are very long. break achievements into one-line bullets.');
+  if (/(^|[\s•-])(I|my|me)\b/.test(lines.filter((l) => BULLET.test(l)).join('\n'))) add('info', 'bullets read better without "I" and "my". start with the action instead.');
+
+  const bullets = lines.filter((l) => BULLET.test(l));
+  if (bullets.length && bullets.filter((l) => /\d/.test(l)).length / bullets.length < 0.3) {
+    add('info', 'fewer than a third of your bullets have a number. quantify results: how many, how much, how often.');
+  }
+  return issues;
+}
+
+function overlap(a, b) {
+  const terms = new Set(tokenizeWithOffsets(a).map((t) => t.term));
+  return tokenizeWithOffsets(b).filter((t) => terms.has(t.term)).length;
+}
+
+/**
+ * Rewrite ideas for weak bullets (a weak opener or no number):
+ * [{ original, suggestion, example }].
+ */
+export function bulletSuggestions(resume, limit = 5) {
+  const examples = EXAMPLE_BULLETS.flatMap((g) => g.bullets);
+  const out = [];
+  for (const line of resume.split(/\r?\n/)) {
+    if (!BULLET.test(line)) continue;
+    const original = line.replace(BULLET, '').trim();
+    if (original.length < 12) continue;
+
+    let suggestion = original;
+    const weak = WEAK_OPENERS.find(([re]) => re.test(original));
+    if (weak) {
+      const [re, verb, dropsGerund] = weak;
+      // "Responsible for handling tickets" becomes "Managed tickets", but
+      // "Helped with onboarding new hires" keeps its object.
+      let rest = original.replace(re, '');
+      if (dropsGerund) rest = dropGerund(rest);
+      suggestion = `${verb} ${rest}`;
+    }
+    const hasNumber = /\d/.test(original);
+    if (!weak && hasNumber) continue;
+    if (!hasNumber) suggestion = `${suggestion.replace(/[.;]$/, '')}, [add a number: how many, how much, how often]`;
+
+    const example = examples.reduce((best, e) => (overlap(original, e) > overlap(original, best) ? e : best), examples[0]);
+    out.push({ original, suggestion, example });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * The full report for a resume against a job's text.
+ *
+ * @param {string} resume
+ * @param {string} job text of the ad (see jobText())
+ * @param {{ skills: object[], jobSkills?: string[] }} options the
+ *   taxonomy's skills, and skill ids already known for the job (from
+ *   jobs.json) to add to those found in the text
+ */
+export function checkResume(resume, job, { skills, jobSkills = [] }) {
+  const resumeTerms = new Set(tokenizeWithOffsets(resume).map((t) => t.term));
+  const keywords = extractKeywords(job);
+  const matched = keywords.filter((k) => resumeTerms.has(k.stem));
+  const missing = keywords.filter((k) => !resumeTerms.has(k.stem));
+
+  const wanted = new Map(findSkills(job, skills).map((s) => [s.id, s]));
+  for (const id of jobSkills) {
+    const skill = skills.find((s) => s.id === id);
+    if (skill) wanted.set(id, { id, label: skill.label });
+  }
+  const have = new Set(findSkills(resume, skills).map((s) => s.id));
+  const skillsMatched = [...wanted.values()].filter((s) => have.has(s.id));
+  const skillsMissing = [...wanted.values()].filter((s) => !have.has(s.id));
+
+  const signals = REMOTE_SIGNALS.map((s) => ({ label: s.label, found: compile(s.patterns).test(resume) }));
+
+  // Keywords carry most of the weight, as in an ATS ranking; skills and
+  // remote signals fall back to full marks when the job names none.
+  const ratio = (hit, all) => (all ? hit / all : 1);
+  const score = Math.round(
+    50 * ratio(matched.length, keywords.length) +
+    35 * ratio(skillsMatched.length, wanted.size) +
+    15 * ratio(signals.filter((s) => s.found).length, signals.length)
+  );
+
+  return {
+    score,
+    keywords: { matched, missing },
+    skills: { matched: skillsMatched, missing: skillsMissing },
+    signals,
+    issues: formattingIssues(resume),
+    rewrites: bulletSuggestions(resume)
+  };
+}
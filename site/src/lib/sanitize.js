@@ -0,0 +1,97 @@
+// Hygiene for third-party job data.
+//
+// Feed content is untrusted. jobs.json keeps it as plain text: the fetcher
+// runs every record through sanitizeJob() before publishing, which strips
+// leftover markup and control characters, keeps only http(s) links and drops
+// tracking parameters. Escaping happens where text becomes HTML, because
+// Astro templates, the feeds and the JSON-LD each escape for their own
+// context; the browser-rendered cards use escapeHtml() and linkAttrs().
+
+import { escapeHtml } from './search.js';
+
+/** rel for every link that leaves the site. */
+export const EXTERNAL_REL = 'noopener noreferrer nofollow';
+
+/**
+ * Query parameters that only identify where a click came from. Also what
+ * dedupe.mjs ignores when comparing listing URLs.
+ */
+export const TRACKING_PARAMS = /^(utm_.*|ref|ref_src|referrer|source|src|gclid|dclid|fbclid|msclkid|yclid|igshid|mc_cid|mc_eid|_hs.*|mkt_tok|trk|trackingid|lever-origin|gh_src)$/i;
+
+/**
+ * The URL with tracking parameters removed, or null unless it is an
+ * absolute http(s) URL without embedded credentials.
+ */
+export function safeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? '').trim());
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  if (url.username || url.password) return null;
+  for (const key of [...url.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  return url.href;
+}
+
+// C0/C1 controls other than whitespace, bidi overrides and zero-width
+// characters, which can disguise text.
+const INVISIBLE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+const TAG = /<\/?[a-z!][^>]*>/gi;
+
+/** Plain single-line text: no markup, no control characters. */
+export function cleanText(value) {
+  if (value === undefined || value === null) return value;
+  return String(value)
+    .replace(INVISIBLE, '')
+    .replace(TAG, ' ')
+    // A lone "<" can't start a tag once the rest is gone, but "<" followed
+    // by a letter still could in a careless renderer.
+    .replace(/<(?=[a-z!/])/gi, '\u2039')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const TEXT_FIELDS = ['title', 'company', 'location', 'excerpt', 'author', 'source'];
+const LIST_FIELDS = ['tags', 'categories', 'risk_reasons'];
+
+/**
+ * A copy of a job with every text field cleaned and every link made safe,
+ * or null when its listing URL isn't a usable http(s) link. Other sources
+ * with unsafe links are dropped from `sources`.
+ */
+export function sanitizeJob(job) {
+  const sourceUrl = safeUrl(job.source_url);
+  if (!sourceUrl) return null;
+
+  const clean = { ...job, source_url: sourceUrl };
+  for (const field of TEXT_FIELDS) {
+    if (typeof job[field] === 'string') clean[field] = cleanText(job[field]);
+  }
+  for (const field of LIST_FIELDS) {
+    if (Array.isArray(job[field])) clean[field] = job[field].map(cleanText).filter(Boolean);
+  }
+  if (Array.isArray(job.sources)) {
+    clean.sources = job.sources
+      .map((s) => ({ ...s, source: cleanText(s.source), url: safeUrl(s.url) }))
+      .filter((s) => s.url);
+  }
+  if (job.enclosure) {
+    const url = safeUrl(job.enclosure.url);
+    clean.enclosure = url ? { ...job.enclosure, url } : undefined;
+  }
+  return clean;
+}
+
+/**
+ * Attributes for an external link in generated HTML:
+ * `href="…" target="_blank" rel="noopener noreferrer nofollow"`. An unsafe
+ * URL gives no href at all, so the link renders inert.
+ */
+export function linkAttrs(url) {
+  const href = safeUrl(url);
+  return href ? `href="${escapeHtml(href)}" target="_blank" rel="${EXTERNAL_REL}"` : 'rel="nofollow"';
+}
@@ -0,0 +1,65 @@
+// Named searches saved in localStorage.
+//
+// Each entry is { id, name, filters, last_checked }. `last_checked` moves
+// forward whenever the user opens the search, so "new" means posted since
+// they last looked at that search rather than since their last visit.
+
+import { FILTERS, filterJobs } from './job-filters.js';
+
+const STORAGE_KEY = 'jobs:savedSearches';
+
+export function loadSavedSearches() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(s => s && s.id && s.filters) : [];
+  } catch {
+    return [];
+  }
+}
+
+function store(searches) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(searches));
+  } catch {
+    // Private browsing or a full quota: saved searches just don't persist.
+  }
+  return searches;
+}
+
+export function addSavedSearch(name, filters, now = new Date()) {
+  const entry = {
+    id: now.getTime().toString(36) + Math.random().toString(36).slice(2, 6),
+    name,
+    filters: { ...filters },
+    last_checked: now.toISOString()
+  };
+  store([...loadSavedSearches(), entry]);
+  return entry;
+}
+
+export function removeSavedSearch(id) {
+  return store(loadSavedSearches().filter(s => s.id !== id));
+}
+
+export function markChecked(id, now = new Date()) {
+  return store(loadSavedSearches().map(s => s.id === id ? { ...s, last_checked: now.toISOString() } : s));
+}
+
+/** Jobs matching a saved search that were posted after it was last checked. */
+export function countNewMatches(search, jobs, searcher) {
+  const since = new Date(search.last_checked || 0);
+  return filterJobs(jobs, search.filters, searcher).jobs
+    .filter(j => j.posted_at && new Date(j.posted_at) > since)
+    .length;
+}
+
+/** A readable default name, e.g. "entry • data • global". */
+export function describeFilters(filters) {
+  const parts = [
+    filters.q && `"${filters.q.trim()}"`,
+    ...FILTERS
+      .filter(f => filters[f.key] !== undefined && filters[f.key] !== f.fallback)
+      .map(f => (f.type === 'checkbox' ? f.tag : filters[f.key]))
+  ].filter(Boolean);
+  return parts.join(' • ') || 'all jobs';
+}
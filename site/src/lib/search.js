@@ -0,0 +1,274 @@
+// Full-text search over jobs.json.
+//
+// The fetcher builds the index once per run (public/jobs-search.json) and
+// the jobs page queries it in the browser. Both sides import this module so
+// tokenizing and stemming can never drift apart.
+//
+// Query syntax: plain words (all must match, the last one as a prefix),
+// "quoted phrases", and -exclusions.
+
+export const INDEX_VERSION = 2;
+
+// Field boosts: a hit in the title says more than one in the excerpt.
+export const FIELDS = [
+  ['title', 3],
+  ['company', 2],
+  ['labels', 1.5],
+  ['location', 1],
+  ['excerpt', 1],
+];
+
+const STOPWORDS = new Set(
+  'a an and are as at be by for from has have in is it its of on or our that the their this to we will with you your'.split(' ')
+);
+
+// Light English suffix stripping: enough to fold plurals and verb forms
+// ("developers" / "developer", "writing" / "write") without the over-eager
+// conflations of a full Porter stemmer ("engineer" must stay "engineer").
+// A final silent e goes too, so the base form meets its -ing and -ed forms
+// halfway: "write", "writes" and "writing" all stem to "writ".
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  return dropFinalE(stripSuffix(word));
+}
+
+function stripSuffix(word) {
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3).replace(/(.)\1$/, '$1');
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2).replace(/(.)\1$/, '$1');
+  if (word.endsWith('ly') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us') && !word.endsWith('is')) return word.slice(0, -1);
+  return word;
+}
+
+function dropFinalE(word) {
+  return word.length > 3 && word.endsWith('e') ? word.slice(0, -1) : word;
+}
+
+function fold(text) {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Folds `text` one character at a time, recording where in the original
+// each folded unit starts: folding can change the length ("ﬁ" becomes
+// "fi", "e" plus a combining accent becomes "e"), and highlights must land
+// on the original text.
+function foldWithOffsets(text) {
+  let folded = '';
+  const starts = [];
+  let i = 0;
+  for (const ch of String(text || '')) {
+    const f = fold(ch);
+    for (let k = 0; k < f.length; k++) starts.push(i);
+    folded += f;
+    i += ch.length;
+  }
+  // One past the end, so a token's end offset is where the next unit starts
+  // (taking in any accents that folded away after it).
+  starts.push(i);
+  return { folded, starts };
+}
+
+// Tokens in already folded text, stopwords dropped.
+function scan(folded) {
+  const out = [];
+  const re = /[a-z0-9][a-z0-9+#]*/g;
+  let m;
+  while ((m = re.exec(folded))) {
+    if (STOPWORDS.has(m[0])) continue;
+    out.push({ term: stem(m[0]), start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+/** Tokens with their offsets in `text`, stopwords dropped. */
+export function tokenizeWithOffsets(text) {
+  const { folded, starts } = foldWithOffsets(text);
+  return scan(folded).map((t) => ({ term: t.term, start: starts[t.start], end: starts[t.end] }));
+}
+
+export function tokenize(text) {
+  return scan(fold(text)).map((t) => t.term);
+}
+
+export function docFields(job) {
+  return {
+    title: job.title,
+    company: job.company,
+    labels: [job.category, job.seniority, job.employment_type, ...(job.skills || []), ...(job.categories || []), ...(job.tags || [])]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/-/g, ' '),
+    location: job.location,
+    excerpt: job.excerpt,
+  };
+}
+
+/**
+ * Builds the shipped index. Postings are flat [docIndex, weight, ...]
+ * arrays, weight being the boosted term frequency ×10 rounded, to keep the
+ * file small.
+ */
+export function buildIndex(jobs) {
+  const terms = {};
+  jobs.forEach((job, doc) => {
+    const weights = new Map();
+    const fields = docFields(job);
+    for (const [field, boost] of FIELDS) {
+      for (const term of tokenize(fields[field])) {
+        weights.set(term, (weights.get(term) || 0) + boost);
+      }
+    }
+    for (const [term, weight] of weights) {
+      (terms[term] ||= []).push(doc, Math.round(weight * 10));
+    }
+  });
+  return { version: INDEX_VERSION, ids: jobs.map((j) => j.id), terms };
+}
+
+export function parseQuery(query) {
+  const phrases = [];
+  const include = [];
+  const exclude = [];
+  const rest = String(query || '').replace(/(-?)"([^"]*)"/g, (_, neg, phrase) => {
+    const terms = tokenize(phrase);
+    if (terms.length) (neg ? exclude : phrases).push(terms);
+    return ' ';
+  });
+  const words = rest.split(/\s+/).filter(Boolean);
+  words.forEach((word, i) => {
+    const neg = word.startsWith('-') && word.length > 1;
+    const terms = tokenize(neg ? word.slice(1) : word);
+    for (const term of terms) {
+      if (neg) exclude.push([term]);
+      // Only the word still being typed is matched as a prefix.
+      else include.push({ term, prefix: i === words.length - 1 && !/\s$/.test(query) });
+    }
+  });
+  return { include, phrases, exclude };
+}
+
+function containsSequence(tokens, seq) {
+  outer: for (let i = 0; i + seq.length <= tokens.length; i++) {
+    for (let j = 0; j < seq.length; j++) if (tokens[i + j] !== seq[j]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Creates a searcher over `jobs` using a prebuilt `index` (or building one
+ * when it is missing, stale, or from a different jobs.json than `jobs`).
+ */
+export function createSearcher(jobs, index) {
+  let docs = jobs;
+  const byId = new Map(jobs.map((j) => [j.id, j]));
+  const covers = index && index.ids?.length === byId.size && index.ids.every((id) => byId.has(id));
+  if (!index || index.version !== INDEX_VERSION || !covers) {
+    index = buildIndex(jobs);
+  } else {
+    docs = index.ids.map((id) => byId.get(id));
+  }
+  const vocabulary = Object.keys(index.terms).sort();
+  const N = docs.length || 1;
+
+  function postings(term, prefix) {
+    const keys = [];
+    if (prefix) {
+      let lo = 0;
+      let hi = vocabulary.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (vocabulary[mid] < term) lo = mid + 1;
+        else hi = mid;
+      }
+      for (let i = lo; i < vocabulary.length && vocabulary[i].startsWith(term); i++) keys.push(vocabulary[i]);
+    } else if (index.terms[term]) {
+      keys.push(term);
+    }
+
+    const scores = new Map();
+    for (const key of keys) {
+      const list = index.terms[key];
+      const idf = Math.log(1 + N / (list.length / 2));
+      // Exact hits outrank completions of a prefix.
+      const exact = key === term ? 1 : 0.6;
+      for (let i = 0; i < list.length; i += 2) {
+        scores.set(list[i], (scores.get(list[i]) || 0) + (list[i + 1] / 10) * idf * exact);
+      }
+    }
+    return { keys, scores };
+  }
+
+  function tokensOf(job) {
+    const f = docFields(job);
+    return FIELDS.map(([field]) => tokenize(f[field]));
+  }
+
+  /**
+   * @returns {{ results: { job: object, score: number }[], terms: string[] }}
+   *   terms are the index keys that matched, for highlighting
+   */
+  function search(query) {
+    const { include, phrases, exclude } = parseQuery(query);
+    const required = [...include, ...phrases.flat().map((term) => ({ term, prefix: false }))];
+    if (!required.length && !exclude.length) return null;
+
+    let candidates = null;
+    const total = new Map();
+    const matched = new Set();
+    for (const { term, prefix } of required) {
+      const { keys, scores } = postings(term, prefix);
+      keys.forEach((k) => matched.add(k));
+      candidates = candidates ? new Set([...candidates].filter((d) => scores.has(d))) : new Set(scores.keys());
+      for (const [doc, score] of scores) total.set(doc, (total.get(doc) || 0) + score);
+    }
+    if (!candidates) candidates = new Set(docs.keys());
+
+    const results = [];
+    for (const doc of candidates) {
+      const job = docs[doc];
+      if (!job) continue;
+      const fieldTokens = tokensOf(job);
+      if (!phrases.every((p) => fieldTokens.some((t) => containsSequence(t, p)))) continue;
+      if (exclude.some((p) => fieldTokens.some((t) => containsSequence(t, p)))) continue;
+      results.push({ job, score: total.get(doc) || 0 });
+    }
+    results.sort((a, b) => b.score - a.score);
+    return { results, terms: [...matched] };
+  }
+
+  return { search };
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+export const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => ESCAPES[c]);
+
+/**
+ * HTML for `text` with matched terms wrapped in <mark>, trimmed to a window
+ * of about `size` characters around the first match.
+ */
+export function highlight(text, terms, size = Infinity) {
+  text = String(text || '');
+  const hits = tokenizeWithOffsets(text).filter((t) => terms.includes(t.term));
+  let from = 0;
+  let to = text.length;
+  if (text.length > size) {
+    const first = hits.length ? hits[0].start : 0;
+    from = Math.max(0, first - Math.floor(size / 3));
+    // Start on a word boundary rather than mid-word.
+    if (from > 0) from = text.lastIndexOf(' ', from) + 1;
+    to = Math.min(text.length, from + size);
+  }
+
+  let html = from > 0 ? '…' : '';
+  let pos = from;
+  for (const hit of hits) {
+    if (hit.start < pos || hit.end > to) continue;
+    html += escapeHtml(text.slice(pos, hit.start)) + '<mark>' + escapeHtml(text.slice(hit.start, hit.end)) + '</mark>';
+    pos = hit.end;
+  }
+  html += escapeHtml(text.slice(pos, to)) + (to < text.length ? '…' : '');
+  return html;
+}
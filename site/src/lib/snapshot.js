@@ -0,0 +1,61 @@
+// Build-time access to the published jobs snapshot (public/jobs.json), for
+// pages and endpoints that render listings into static files.
+
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+/**
+ * One listing as the fetcher publishes it; scripts/jobs.schema.json is the
+ * full contract.
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [company]
+ * @property {string} source
+ * @property {string} source_url
+ * @property {{ source: string, url: string }[]} [sources]  every board it was seen on
+ * @property {string} posted_at
+ * @property {string} first_seen
+ * @property {string} last_seen
+ * @property {boolean} [expired]
+ * @property {string} [expired_at]
+ * @property {string[]} tags
+ * @property {string} category
+ * @property {string} seniority
+ * @property {string} employment_type
+ * @property {string[]} skills
+ * @property {string} location
+ * @property {string[]} [regions]
+ * @property {'global' | 'restricted'} [remote_scope]
+ * @property {{ min: number, max: number, currency: string, period: string } | null} [salary]
+ * @property {string} excerpt
+ * @property {number} risk_score
+ * @property {string[]} [risk_reasons]
+ * @property {boolean} [risk_flagged]
+ */
+
+/** @typedef {{ updated_at: string, jobs: Job[] }} Snapshot */
+
+/**
+ * Reads the snapshot the fetcher wrote. Astro builds from the site
+ * directory, so the default path is relative to it. A missing or broken
+ * file gives an empty board rather than a failed build.
+ * @returns {Promise<Snapshot>}
+ */
+export async function loadSnapshot(path = resolve('public/jobs.json')) {
+  try {
+    const data = JSON.parse(await readFile(path, 'utf8'));
+    return { updated_at: data.updated_at, jobs: data.jobs || [] };
+  } catch {
+    return { updated_at: new Date().toISOString(), jobs: [] };
+  }
+}
+
+/**
+ * Listings still live on the board.
+ * @param {Snapshot} snapshot
+ * @returns {Job[]}
+ */
+export function activeJobs(snapshot) {
+  return snapshot.jobs.filter((j) => !j.expired);
+}
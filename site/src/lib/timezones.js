@@ -0,0 +1,216 @@
+// Time zone maths for the overlap calculator on
+// /resources/timezone-availability.
+//
+// Everything goes through Intl.DateTimeFormat with IANA zone names, so
+// daylight saving is whatever the browser's time zone data says for the
+// chosen date rather than a fixed offset table.
+
+// Common places people type, mapped to their IANA zone. Any IANA name
+// (e.g. "America/Denver") works as well.
+export const CITIES = {
+  'san francisco': 'America/Los_Angeles',
+  'los angeles': 'America/Los_Angeles',
+  seattle: 'America/Los_Angeles',
+  vancouver: 'America/Vancouver',
+  denver: 'America/Denver',
+  phoenix: 'America/Phoenix',
+  chicago: 'America/Chicago',
+  austin: 'America/Chicago',
+  'mexico city': 'America/Mexico_City',
+  'new york': 'America/New_York',
+  boston: 'America/New_York',
+  toronto: 'America/Toronto',
+  bogota: 'America/Bogota',
+  lima: 'America/Lima',
+  'buenos aires': 'America/Argentina/Buenos_Aires',
+  'sao paulo': 'America/Sao_Paulo',
+  london: 'Europe/London',
+  dublin: 'Europe/Dublin',
+  lisbon: 'Europe/Lisbon',
+  madrid: 'Europe/Madrid',
+  barcelona: 'Europe/Madrid',
+  paris: 'Europe/Paris',
+  amsterdam: 'Europe/Amsterdam',
+  berlin: 'Europe/Berlin',
+  prague: 'Europe/Prague',
+  warsaw: 'Europe/Warsaw',
+  stockholm: 'Europe/Stockholm',
+  athens: 'Europe/Athens',
+  kyiv: 'Europe/Kyiv',
+  istanbul: 'Europe/Istanbul',
+  cairo: 'Africa/Cairo',
+  lagos: 'Africa/Lagos',
+  nairobi: 'Africa/Nairobi',
+  johannesburg: 'Africa/Johannesburg',
+  dubai: 'Asia/Dubai',
+  karachi: 'Asia/Karachi',
+  mumbai: 'Asia/Kolkata',
+  bangalore: 'Asia/Kolkata',
+  delhi: 'Asia/Kolkata',
+  dhaka: 'Asia/Dhaka',
+  bangkok: 'Asia/Bangkok',
+  jakarta: 'Asia/Jakarta',
+  manila: 'Asia/Manila',
+  singapore: 'Asia/Singapore',
+  'hong kong': 'Asia/Hong_Kong',
+  shanghai: 'Asia/Shanghai',
+  seoul: 'Asia/Seoul',
+  tokyo: 'Asia/Tokyo',
+  sydney: 'Australia/Sydney',
+  melbourne: 'Australia/Melbourne',
+  auckland: 'Pacific/Auckland'
+};
+
+export function isValidZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolves what the user typed (a city from CITIES or an IANA name, any
+ * case) to { zone, place }, or null when it is neither.
+ */
+export function resolveZone(input) {
+  const text = String(input || '').trim();
+  if (!text) return null;
+  const city = CITIES[text.toLowerCase()];
+  if (city) return { zone: city, place: text.toLowerCase() };
+  if (!text.includes('/') && text.toUpperCase() !== 'UTC') return null;
+  if (!isValidZone(text)) return null;
+  const zone = new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  return { zone, place: zone.split('/').pop().replace(/_/g, ' ').toLowerCase() };
+}
+
+const partsFormatters = new Map();
+
+// Wall-clock fields of `date` in `zone`.
+function wallClock(date, zone) {
+  if (!partsFormatters.has(zone)) {
+    partsFormatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const p of partsFormatters.get(zone).formatToParts(date)) parts[p.type] = Number(p.value);
+  return parts;
+}
+
+/** Minutes `zone` is ahead of UTC at `date` (negative west of Greenwich). */
+export function offsetMinutes(zone, date) {
+  const p = wallClock(date, zone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The instant when the clock in `zone` shows `day` (YYYY-MM-DD) at `time`
+ * (HH:MM). A time skipped by a DST jump resolves an hour late (02:30 on a
+ * spring-forward night is 03:30); a time that happens twice when the clocks
+ * go back resolves to the first of the two.
+ */
+export function zonedTime(zone, day, time) {
+  const DAY = 86400000;
+  const [y, m, d] = day.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const guess = Date.UTC(y, m - 1, d, hh, mm);
+  // Read the wall time with the offsets in force a day either side: each
+  // candidate is real if the zone still has that offset at the instant.
+  const candidates = [guess - DAY, guess + DAY].map((t) => {
+    const offset = offsetMinutes(zone, new Date(t));
+    const utc = guess - offset * 60000;
+    return { utc, real: offsetMinutes(zone, new Date(utc)) === offset };
+  });
+  const real = candidates.filter((c) => c.real).map((c) => c.utc);
+  // Neither is real inside a DST gap; the earlier offset moves the time
+  // forward past it.
+  return new Date(real.length ? Math.min(...real) : candidates[0].utc);
+}
+
+/**
+ * Working hours on `day` as an interval of instants. An end at or before
+ * the start means the shift runs past midnight.
+ */
+export function workingWindow(zone, day, start, end) {
+  const from = zonedTime(zone, day, start);
+  let to = zonedTime(zone, day, end);
+  if (to <= from) to = zonedTime(zone, nextDay(day), end);
+  return { start: from, end: to };
+}
+
+export function nextDay(day, n = 1) {
+  const d = new Date(`${day}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Today's date (YYYY-MM-DD) as seen in `zone`. */
+export function todayIn(zone, now = new Date()) {
+  const p = wallClock(now, zone);
+  return [p.year, p.month, p.day].map((n) => String(n).padStart(2, '0')).join('-');
+}
+
+/**
+ * Shared time of two working windows, or null. A team window is also tried
+ * a day either side, so a morning in Asia still meets the previous
+ * evening in the Americas.
+ */
+export function overlap(mine, theirs) {
+  const DAY = 86400000;
+  let best = null;
+  for (const shift of [-DAY, 0, DAY]) {
+    const start = Math.max(mine.start.getTime(), theirs.start.getTime() + shift);
+    const end = Math.min(mine.end.getTime(), theirs.end.getTime() + shift);
+    if (end > start && (!best || end - start > best.end - best.start)) best = { start, end };
+  }
+  return best && { start: new Date(best.start), end: new Date(best.end), minutes: (best.end - best.start) / 60000 };
+}
+
+/** "14:30" on the clock in `zone`. */
+export function formatTime(date, zone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
+
+// Each English locale only knows the abbreviations used locally (en-US has
+// "EST" but says "GMT+1" for Paris), so several are tried in turn.
+const ABBR_LOCALES = ['en-US', 'en-GB', 'en-IN', 'en-AU'];
+
+/** Short lowercase zone name at `date`, e.g. "cet", "est" or "gmt+8". */
+export function zoneAbbr(zone, date) {
+  let fallback = zone;
+  for (const locale of ABBR_LOCALES) {
+    const part = new Intl.DateTimeFormat(locale, { timeZone: zone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find((p) => p.type === 'timeZoneName');
+    if (!part) continue;
+    if (!/^GMT[+-]/.test(part.value)) return part.value.toLowerCase();
+    fallback = part.value;
+  }
+  return fallback.toLowerCase();
+}
+
+/** "tuesday" for `date` in `zone`. */
+export function weekday(date, zone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'long' }).format(date).toLowerCase();
+}
+
+/** "3h 30m", "4h". */
+export function formatDuration(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+/** Legend bucket for an overlap, matching the classes on the page. */
+export function overlapQuality(minutes) {
+  if (minutes >= 240) return 'good';
+  if (minutes >= 120) return 'moderate';
+  if (minutes >= 30) return 'limited';
+  return 'minimal';
+}
@@ -0,0 +1,258 @@
+// Job application tracker, stored in IndexedDB in the user's browser.
+//
+// One record per application:
+//   { id, job_id, title, company, url, source, status, applied_at,
+//     follow_up, notes, created_at, updated_at, status_changed_at }
+// Dates are ISO strings; applied_at and follow_up are plain YYYY-MM-DD days.
+
+const DB_NAME = 'remotelyyou-tracker';
+const DB_VERSION = 1;
+const STORE = 'applications';
+
+// Pipeline order, as shown on the kanban board.
+export const STATUSES = [
+  { id: 'saved', label: 'saved' },
+  { id: 'applied', label: 'applied' },
+  { id: 'screening', label: 'screening' },
+  { id: 'interview', label: 'interview' },
+  { id: 'offer', label: 'offer' },
+  { id: 'rejected', label: 'rejected' }
+];
+
+// Applications still waiting on the employer become stale after this long
+// without a status change.
+export const STALE_DAYS = 7;
+const WAITING = new Set(['applied', 'screening', 'interview']);
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('url', 'url');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const result = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(result.result ?? result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function listApplications() {
+  return withStore('readonly', (store) => store.getAll());
+}
+
+/** Inserts or updates an application, filling in ids and timestamps. */
+export async function saveApplication(app) {
+  const now = new Date().toISOString();
+  const record = {
+    status: 'saved',
+    notes: '',
+    created_at: now,
+    status_changed_at: now,
+    ...app,
+    id: app.id || newId(),
+    updated_at: now
+  };
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+}
+
+export function deleteApplication(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+export async function setStatus(app, status) {
+  if (app.status === status) return app;
+  const changes = { status, status_changed_at: new Date().toISOString() };
+  if (status === 'applied' && !app.applied_at) changes.applied_at = today();
+  return saveApplication({ ...app, ...changes });
+}
+
+/** Saves a listing from jobs.json, unless it is already tracked. */
+export async function trackJob(job) {
+  const existing = (await listApplications()).find((a) => a.url === job.source_url);
+  if (existing) return existing;
+  return saveApplication({
+    job_id: job.id,
+    title: job.title,
+    company: job.company || '',
+    url: job.source_url,
+    source: job.source || ''
+  });
+}
+
+export async function trackedUrls() {
+  return new Set((await listApplications()).map((a) => a.url));
+}
+
+/**
+ * Why an application needs attention, or null: a follow-up date that has
+ * arrived, or no movement for STALE_DAYS while waiting on the employer.
+ */
+export function reminderFor(app, now = new Date()) {
+  if (app.status === 'offer' || app.status === 'rejected') return null;
+  if (app.follow_up && app.follow_up <= now.toISOString().slice(0, 10)) {
+    return `follow-up due ${app.follow_up}`;
+  }
+  if (WAITING.has(app.status)) {
+    const days = Math.floor((now - new Date(app.status_changed_at || app.created_at)) / 86400000);
+    if (days >= STALE_DAYS) return `no update in ${days} days`;
+  }
+  return null;
+}
+
+// CSV columns, in export order. Import also accepts the column names used
+// by the old Google Sheets template.
+const COLUMNS = [
+  { key: 'company', header: 'Company', aliases: ['company name', 'employer'] },
+  { key: 'title', header: 'Position', aliases: ['job title', 'title', 'role'] },
+  { key: 'status', header: 'Status', aliases: ['stage'] },
+  { key: 'applied_at', header: 'Date Applied', aliases: ['applied', 'application date', 'date'] },
+  { key: 'follow_up', header: 'Follow-up Date', aliases: ['follow up', 'follow-up', 'follow up date'] },
+  { key: 'url', header: 'Link', aliases: ['url', 'job link', 'job url', 'posting'] },
+  { key: 'source', header: 'Source', aliases: ['job board', 'where found'] },
+  { key: 'notes', header: 'Notes', aliases: ['comments'] }
+];
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(apps) {
+  const rows = [COLUMNS.map((c) => c.header)];
+  for (const app of apps) rows.push(COLUMNS.map((c) => app[c.key]));
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/** RFC 4180 parsing: quoted fields may hold commas, quotes and newlines. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+function toDay(value) {
+  if (!value) return undefined;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const d = new Date(value);
+  if (isNaN(d)) return undefined;
+  // Spreadsheet dates are local days; toISOString() could shift them.
+  return [d.getFullYear(), d.getMonth() + 1, d.getDate()].map((n) => String(n).padStart(2, '0')).join('-');
+}
+
+const STATUS_WORDS = {
+  ...Object.fromEntries(STATUSES.map((s) => [s.id, s.id])),
+  wishlist: 'saved',
+  screen: 'screening',
+  interviewing: 'interview',
+  offered: 'offer',
+  rejection: 'rejected',
+  declined: 'rejected'
+};
+
+/**
+ * Application records from CSV text (not yet saved). A blank or missing
+ * Status leaves `status` undefined, so re-importing a sheet without one
+ * keeps each tracked application's status; new ones get a default when
+ * saved (see importApplications).
+ */
+export function fromCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map((h) => h.trim().toLowerCase());
+  const index = {};
+  for (const col of COLUMNS) {
+    const i = names.findIndex((n) => n === col.header.toLowerCase() || col.aliases.includes(n));
+    if (i >= 0) index[col.key] = i;
+  }
+  if (index.title === undefined && index.company === undefined) {
+    throw new Error('no Company or Position column found');
+  }
+
+  return rows.map((cells) => {
+    const get = (key) => (index[key] === undefined ? '' : (cells[index[key]] || '').trim());
+    // "Offer/Rejection" style values: take the first known word.
+    const status = get('status').toLowerCase().split(/[^a-z]+/).map((w) => STATUS_WORDS[w]).find(Boolean);
+    return {
+      title: get('title'),
+      company: get('company'),
+      status,
+      applied_at: toDay(get('applied_at')),
+      follow_up: toDay(get('follow_up')),
+      url: get('url'),
+      source: get('source'),
+      notes: get('notes')
+    };
+  }).filter((app) => app.title || app.company);
+}
+
+/**
+ * Saves imported rows, updating existing applications that share a link.
+ * New rows without a status start as applied if they have an applied date,
+ * else as saved.
+ */
+export async function importApplications(apps) {
+  const existing = new Map((await listApplications()).filter((a) => a.url).map((a) => [a.url, a]));
+  for (const app of apps) {
+    const match = app.url && existing.get(app.url);
+    // Blank cells never wipe out what the tracker already knows.
+    const filled = Object.fromEntries(Object.entries(app).filter(([, v]) => v));
+    if (match) {
+      if (filled.status && filled.status !== match.status) filled.status_changed_at = new Date().toISOString();
+      await saveApplication({ ...match, ...filled, id: match.id });
+    } else {
+      await saveApplication({ status: filled.applied_at ? 'applied' : 'saved', ...filled });
+    }
+  }
+  return apps.length;
+}
@@ -0,0 +1,17 @@
+// Atom, one feed per bucket in feedList(): /feeds/all.atom, /feeds/data.atom, ...
+import taxonomy from '../../../../scripts/taxonomy.json';
+import { feedList, toAtom } from '../../lib/feeds.js';
+import { activeJobs, loadSnapshot } from '../../lib/snapshot.js';
+
+export async function getStaticPaths() {
+  const snapshot = await loadSnapshot();
+  return feedList(activeJobs(snapshot), taxonomy).map((feed) => ({
+    params: { feed: feed.slug },
+    props: { feed, updatedAt: snapshot.updated_at }
+  }));
+}
+
+export function GET({ props, site }) {
+  const body = toAtom(props.feed, String(site).replace(/\/$/, ''), props.updatedAt);
+  return new Response(body, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+}
@@ -0,0 +1,17 @@
+// JSON Feed 1.1, one feed per bucket in feedList(): /feeds/all.json, /feeds/data.json, ...
+import taxonomy from '../../../../scripts/taxonomy.json';
+import { feedList, toJsonFeed } from '../../lib/feeds.js';
+import { activeJobs, loadSnapshot } from '../../lib/snapshot.js';
+
+export async function getStaticPaths() {
+  const snapshot = await loadSnapshot();
+  return feedList(activeJobs(snapshot), taxonomy).map((feed) => ({
+    params: { feed: feed.slug },
+    props: { feed, updatedAt: snapshot.updated_at }
+  }));
+}
+
+export function GET({ props, site }) {
+  const body = toJsonFeed(props.feed, String(site).replace(/\/$/, ''), props.updatedAt);
+  return new Response(body, { headers: { 'Content-Type': 'application/feed+json; charset=utf-8' } });
+}
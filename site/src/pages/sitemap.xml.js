@@ -0,0 +1,42 @@
+// Sitemap of every static page, live job page and non-empty landing page.
+// Expired job pages are left out: they are noindex until the fetcher drops them.
+import taxonomy from '../../../scripts/taxonomy.json';
+import { escapeHtml } from '../lib/search.js';
+import { jobBuckets, jobPath } from '../lib/job-pages.js';
+import { activeJobs, loadSnapshot } from '../lib/snapshot.js';
+
+// Pages that exist but shouldn't be indexed.
+const EXCLUDED = new Set(['/404', '/contact-thanks', '/offline']);
+
+// Static routes from the pages directory; dynamic ones ([param]) are
+// listed from the snapshot below.
+function staticPaths() {
+  return Object.keys(import.meta.glob('./**/*.astro'))
+    .filter((file) => !file.includes('['))
+    .map((file) => file.replace(/^\./, '').replace(/\.astro$/, '').replace(/\/index$/, '') || '/')
+    .filter((path) => !EXCLUDED.has(path));
+}
+
+export async function GET({ site }) {
+  const snapshot = await loadSnapshot();
+  const live = activeJobs(snapshot);
+  const base = String(site).replace(/\/$/, '');
+
+  const entries = [
+    ...staticPaths().map((path) => ({ path })),
+    ...jobBuckets(live, taxonomy).filter((b) => b.jobs.length).map((b) => ({ path: `/remote-jobs/${b.slug}`, lastmod: snapshot.updated_at })),
+    ...live.filter((job) => jobPath(job)).map((job) => ({ path: jobPath(job), lastmod: job.last_seen || job.posted_at }))
+  ];
+
+  const urls = entries.map((e) => `  <url>
+    <loc>${escapeHtml(base + e.path)}</loc>${e.lastmod ? `
+    <lastmod>${new Date(e.lastmod).toISOString()}</lastmod>` : ''}
+  </url>`).join('\n');
+
+  const body = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+  return new Response(body, { headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+}
@@ -1 +0,0 @@
-/// <reference path="../.astro/types.d.ts" />
\ No newline at end of file